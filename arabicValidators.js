@@ -0,0 +1,159 @@
+// arabicValidators.js — QC checks for the Arabic (*_localized_*) side of a menu row
+import { applyPatch, normalizeArabic } from "./textTools.js";
+
+// EN column → its Arabic counterpart (canonical names, see menuQc.js)
+export const AR_PAIRS = [
+  ["item_name", "item_localized_name"],
+  ["item_description", "item_localized_description"],
+  ["category_name", "category_localized_name"],
+  ["sub_category_name", "sub_category_localized_name"],
+  ["option_group_name", "option_group_localized_name"],
+  ["option_name", "option_localized_name"],
+];
+
+const AR_LETTER = /[\u0621-\u064A]/;
+const AR_WORD = /[\u0621-\u064A\u0660-\u0669]+/;
+const LATIN_WORD = /[A-Za-z]{2,}/g;
+const AR_DIGITS = "٠١٢٣٤٥٦٧٨٩";
+const LATIN_PUNCT = { ",": "،", "?": "؟", ";": "؛" };
+
+export const hasArabic = (s) => AR_LETTER.test(String(s || ""));
+
+// every Arabic rendering the glossary has for this EN value (whole-value match only)
+function glossaryArabic(en, glossary, market) {
+  const key = String(en || "").trim().toLowerCase();
+  if (!key || !glossary) return [];
+  const lists = glossary[market] ? [glossary[market]] : Object.values(glossary);
+  const out = [];
+  for (const pairs of lists) {
+    for (const { en: e, ar } of pairs || []) {
+      if (String(e).trim().toLowerCase() === key && !out.includes(ar)) out.push(ar);
+    }
+  }
+  return out;
+}
+
+/* ---------- Checks ---------- */
+// Latin words inside Arabic text, or Arabic inside the EN column
+export function checkMixedScript(en, ar, arField, enField) {
+  const issues = [];
+  if (ar && hasArabic(ar)) {
+    const latin = String(ar).match(LATIN_WORD) || [];
+    if (latin.length) {
+      issues.push({
+        field: arField, type: "mixed_script",
+        message: `Arabic text contains Latin words: ${latin.join(", ")}`,
+        fix: `Translate or transliterate ${latin.map(w => `"${w}"`).join(", ")} into Arabic`,
+        autoFix: false,
+      });
+    }
+  }
+  if (en && hasArabic(en)) {
+    issues.push({
+      field: enField, type: "mixed_script",
+      message: "English text contains Arabic letters",
+      fix: `Move the Arabic text to ${arField}`,
+      autoFix: false,
+    });
+  }
+  return issues;
+}
+
+// EN filled, AR empty — glossary gives the value when it knows the whole EN term
+export function checkMissingTranslation(en, ar, arField, { glossary, market } = {}) {
+  if (!String(en || "").trim() || String(ar || "").trim()) return [];
+  const known = glossaryArabic(en, glossary, market);
+  return [{
+    field: arField, type: "missing_translation",
+    message: `Arabic translation is missing for "${en}"`,
+    fix: known[0] || `Add the Arabic for "${en}" (check glossary/aggregators)`,
+    autoFix: known.length > 0,
+  }];
+}
+
+// AR identical to EN, or Latin words with no Arabic at all → left untranslated
+export function checkUntranslated(en, ar, arField, { glossary, market } = {}) {
+  const e = String(en || "").trim();
+  const a = String(ar || "").trim();
+  const same = e && e.toLowerCase() === a.toLowerCase();
+  const latinOnly = !hasArabic(a) && (a.match(LATIN_WORD) || []).length > 0;
+  if (!same && !latinOnly) return [];
+  const known = glossaryArabic(e, glossary, market);
+  return [{
+    field: arField, type: "untranslated",
+    message: same ? `Arabic value is the same as English ("${e}")` : `Arabic column holds Latin text only ("${a}")`,
+    fix: known[0] || `Translate "${e || a}" into Arabic`,
+    autoFix: known.length > 0,
+  }];
+}
+
+// Patch-style issue (see validators.js cleanRow) so several Arabic fixes can stack on one cell
+function patchIssue(field, type, text, patches, message) {
+  if (!patches.length) return [];
+  const fixed = patches.reduce(applyPatch, String(text));
+  return [{ field, type, message, fix: fixed, patches, autoFix: true }];
+}
+
+// Latin , ? ; and 0-9 inside Arabic text → ، ؟ ؛ and Arabic-Indic digits
+export function checkArabicPunctuation(ar, arField) {
+  if (!ar || !hasArabic(ar)) return [];
+  const patches = [];
+  for (const [tok] of String(ar).matchAll(/[,?;]|[0-9]+/g)) {
+    const to = LATIN_PUNCT[tok] || tok.replace(/[0-9]/g, (d) => AR_DIGITS[Number(d)]);
+    patches.push({ from: tok, to });
+  }
+  return patchIssue(arField, "arabic_punctuation", ar, patches,
+    "Use Arabic punctuation (، ؟ ؛) and Arabic digits inside Arabic text");
+}
+
+// tatweel (ـ) and double spaces
+export function checkArabicSpacing(ar, arField) {
+  if (!ar || !hasArabic(ar)) return [];
+  const patches = [];
+  for (const [tok] of String(ar).matchAll(/\u0640+| {2,}/g)) {
+    patches.push({ from: tok, to: tok.startsWith(" ") ? " " : "" });
+  }
+  return patchIssue(arField, "arabic_spacing", ar, patches, "Remove tatweel (ـ) and extra spaces");
+}
+
+// ى / ة can only end a word; glossary terms written with another alef/yaa/taa variant
+export function checkArabicLetterVariants(ar, arField, { glossary, market } = {}) {
+  if (!ar || !hasArabic(ar)) return [];
+  const patches = [];
+  for (const w of String(ar).split(/\s+/)) {
+    if (!AR_WORD.test(w)) continue;
+    const fixedWord = w.replace(/[ىة](?=[\u0621-\u064A])/g, (c) => (c === "ى" ? "ي" : "ت"));
+    if (fixedWord !== w) patches.push({ from: w, to: fixedWord });
+  }
+  const lists = !glossary ? [] : glossary[market] ? [glossary[market]] : Object.values(glossary);
+  const norm = normalizeArabic(ar);
+  for (const pairs of lists) {
+    for (const { ar: term } of pairs || []) {
+      if (!term || String(ar).includes(term)) continue;
+      const t = normalizeArabic(term);
+      if (!t || !norm.includes(t)) continue;
+      // find the variant spelling in the original text (same word count as the term)
+      const n = t.split(" ").length;
+      const words = String(ar).trim().split(/\s+/);
+      for (let i = 0; i + n <= words.length; i++) {
+        const span = words.slice(i, i + n).join(" ");
+        if (normalizeArabic(span) === t && span !== term) {
+          patches.push({ from: span, to: term });
+          break;
+        }
+      }
+    }
+  }
+  return patchIssue(arField, "arabic_letter_variant", ar, patches,
+    `Check alef/yaa/taa marbuta spelling: ${patches.map(p => `"${p.from}" → "${p.to}"`).join(", ")}`);
+}
+
+// Run one check over every EN/AR pair present in the (canonical) row
+export function forEachPair(row, fn) {
+  const out = [];
+  for (const [enField, arField] of AR_PAIRS) {
+    if (!row || !(arField in row)) continue;
+    out.push(...fn(row[enField], row[arField], arField, enField));
+  }
+  return out;
+}
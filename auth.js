@@ -0,0 +1,120 @@
+// auth.js — API keys (hashed in a local JSON file) or HS256 JWTs, with roles agent < lead < admin
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { KEYS_FILE } from "./config.js";
+
+export const ROLES = ["agent", "lead", "admin"];
+const JWT_SECRET = process.env.JWT_SECRET || "";
+
+/* ---------- Key store ---------- */
+// api_keys.json: [{ name, role, hash: "<sha256 hex>", createdAt, revoked? }] — keys are never stored in clear
+const sha256 = (s) => crypto.createHash("sha256").update(String(s)).digest("hex");
+
+if (!process.env.API_KEYS_FILE && !fs.existsSync(KEYS_FILE) && fs.existsSync("./api_keys.json")) {
+  console.warn(`[auth] ./api_keys.json is no longer read; move it to ${KEYS_FILE}`);
+}
+
+let _keys = [];
+let _keysMtime = 0;
+
+export function loadKeys() {
+  let mtime = 0;
+  try { mtime = fs.statSync(KEYS_FILE).mtimeMs; }
+  catch { _keys = []; _keysMtime = 0; return _keys; }
+  if (mtime === _keysMtime) return _keys;
+  try {
+    const json = JSON.parse(fs.readFileSync(KEYS_FILE, "utf-8"));
+    _keys = Array.isArray(json) ? json.filter((k) => k?.hash && ROLES.includes(k.role)) : [];
+    _keysMtime = mtime;
+  } catch (e) {
+    // fail closed: an unreadable store accepts no key, it does not switch auth off
+    console.error(`[auth] Cannot read ${KEYS_FILE}, rejecting API keys: ${e.message}`);
+    _keys = [];
+    _keysMtime = mtime;
+  }
+  return _keys;
+}
+
+export function saveKeys(keys) {
+  fs.mkdirSync(path.dirname(KEYS_FILE), { recursive: true });
+  const tmp = `${KEYS_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(keys, null, 2), { encoding: "utf-8", mode: 0o600 });
+  fs.renameSync(tmp, KEYS_FILE);
+  _keysMtime = 0;
+}
+
+// → { key (show once), entry (what gets stored) }
+export function createKey(name, role) {
+  if (!ROLES.includes(role)) throw new Error(`role must be one of ${ROLES.join(", ")}`);
+  const key = `qcb_${crypto.randomBytes(24).toString("base64url")}`;
+  return { key, entry: { name, role, hash: sha256(key), createdAt: new Date().toISOString() } };
+}
+
+// true when any credential source exists; without one every request is rejected (unless AUTH_DISABLED)
+export function authConfigured() {
+  return !!(JWT_SECRET || process.env.ADMIN_TOKEN || loadKeys().some((k) => !k.revoked));
+}
+
+// AUTH_DISABLED=1 is the only way to run open (local dev): callers are anonymous agents, lead/admin routes are off
+export const authDisabled = () => /^(1|true|yes)$/i.test(process.env.AUTH_DISABLED || "");
+
+/* ---------- Credentials ---------- */
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function verifyJwt(token) {
+  if (!JWT_SECRET) return null;
+  const [h, p, sig] = token.split(".");
+  try {
+    const header = JSON.parse(Buffer.from(h, "base64url").toString("utf-8"));
+    if (header.alg !== "HS256") return null;
+    const expected = crypto.createHmac("sha256", JWT_SECRET).update(`${h}.${p}`).digest("base64url");
+    if (!safeEqual(sig, expected)) return null;
+    const claims = JSON.parse(Buffer.from(p, "base64url").toString("utf-8"));
+    const now = Date.now() / 1000;
+    if ((claims.exp && now >= claims.exp) || (claims.nbf && now < claims.nbf)) return null;
+    if (!claims.sub || !ROLES.includes(claims.role)) return null;
+    return { id: `user:${claims.sub}`, name: String(claims.sub), role: claims.role, via: "jwt" };
+  } catch {
+    return null;
+  }
+}
+
+function verifyKey(key) {
+  const admin = process.env.ADMIN_TOKEN;
+  if (admin && safeEqual(sha256(key), sha256(admin))) return { id: "key:admin-token", name: "admin-token", role: "admin", via: "admin_token" };
+  const hash = sha256(key);
+  const hit = loadKeys().find((k) => !k.revoked && safeEqual(k.hash, hash));
+  return hit ? { id: `key:${hit.name}`, name: hit.name, role: hit.role, via: "api_key" } : null;
+}
+
+// Authorization: Bearer <key|jwt>, or x-api-key / x-admin-token
+export function authenticate(req) {
+  const bearer = String(req.get("authorization") || "").replace(/^Bearer\s+/i, "").trim();
+  const token = bearer || String(req.get("x-api-key") || req.get("x-admin-token") || "").trim();
+  if (!token) return null;
+  return token.split(".").length === 3 ? verifyJwt(token) : verifyKey(token);
+}
+
+/* ---------- Middleware ---------- */
+const rank = (role) => ROLES.indexOf(role);
+
+// Sets req.auth. Fails closed: a missing, malformed or fully revoked key store means 401, never open access.
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (authDisabled()) {
+      if (rank(role) > rank("agent")) return res.status(503).json({ error: "auth_disabled" });
+      req.auth = { id: null, name: "anonymous", role: "agent", via: "open" };
+      return next();
+    }
+    const auth = authenticate(req);
+    if (!auth) return res.status(401).json({ error: "unauthorized" });
+    if (rank(auth.role) < rank(role)) return res.status(403).json({ error: "forbidden", required: role });
+    req.auth = auth;
+    next();
+  };
+}
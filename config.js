@@ -0,0 +1,12 @@
+// config.js — paths and private-file rules shared across modules, so none of them has to import a heavier module just for a constant
+import path from "path";
+
+// runtime state (QC runs, feedback logs, API keys); keep it out of the knowledge roots
+export const DATA_DIR = path.resolve(process.env.DATA_DIR || "./data");
+
+// API key store: under DATA_DIR, away from the knowledge roots (the loader indexes every *.json in the working dir)
+export const KEYS_FILE = path.resolve(process.env.API_KEYS_FILE || path.join(DATA_DIR, "api_keys.json"));
+// never knowledge, never snapshotted or restored, wherever they sit: the key store (also under its legacy root name)
+const PRIVATE_NAMES = new Set(["api_keys.json", path.basename(KEYS_FILE).toLowerCase()]);
+export const isPrivateFile = (file) =>
+  path.resolve(String(file)) === KEYS_FILE || PRIVATE_NAMES.has(path.basename(String(file)).toLowerCase());
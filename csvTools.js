@@ -0,0 +1,33 @@
+// csvTools.js — read uploaded CSVs (keeping header order) and write them back out
+import fs from "fs";
+import csvParser from "csv-parser";
+
+export function parseCsvFile(filePath) {
+  return new Promise((resolve, reject) => {
+    let headers = [];
+    const rows = [];
+    fs.createReadStream(filePath)
+      .pipe(csvParser({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, "") }))
+      .on("headers", (h) => (headers = h))
+      .on("data", (row) => rows.push(row))
+      .on("end", () => resolve({ headers, rows }))
+      .on("error", reject);
+  });
+}
+
+function csvCell(v) {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function csvLine(values) {
+  return values.map(csvCell).join(",") + "\r\n";
+}
+
+// Write rows with the given header order to a writable (e.g. an express res).
+// BOM first so Excel opens Arabic text as UTF-8.
+export function writeCsv(out, headers, rows) {
+  out.write("\uFEFF" + csvLine(headers));
+  for (const row of rows) out.write(csvLine(headers.map((h) => row[h])));
+  out.end();
+}
@@ -0,0 +1,49 @@
+// eval/scope.mjs — in-scope vs out-of-scope separation of answerConfidence, and the threshold it supports
+// Usage: node eval/scope.mjs [--verbose]   (exit 1 when accuracy at RAG_MIN_CONFIDENCE < EVAL_MIN_SCOPE_ACC, default 0.9)
+// Tuning split: scope_questions.json plus every retrieval_questions.json question (in scope).
+// scope_holdout.json is never tuned on; test/scope.test.js scores the threshold on it.
+import fs from "fs";
+import path from "path";
+import url from "url";
+import { scoreChunks, answerConfidence, MIN_CONFIDENCE } from "../rag.js";
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+const read = (f) => JSON.parse(fs.readFileSync(path.join(__dirname, f), "utf-8"));
+const QUESTIONS = [
+  ...read("scope_questions.json"),
+  ...read("retrieval_questions.json").map(({ question }) => ({ question, inScope: true })),
+];
+const MIN_ACC = Number(process.env.EVAL_MIN_SCOPE_ACC || 0.9);
+const VERBOSE = process.argv.includes("--verbose");
+
+const scored = QUESTIONS.map((q) => ({ ...q, confidence: answerConfidence(q.question, scoreChunks(q.question)) }));
+
+function accuracy(threshold) {
+  const ok = scored.filter((q) => (q.confidence >= threshold) === q.inScope).length;
+  return ok / scored.length;
+}
+
+// sweep: every midpoint between neighbouring scores; ties go to the widest gap (most margin)
+const values = [...new Set(scored.map((q) => q.confidence))].sort((a, b) => a - b);
+let best = { threshold: MIN_CONFIDENCE, acc: -1, gap: 0 };
+for (let i = 1; i < values.length; i++) {
+  const t = Math.round(((values[i - 1] + values[i]) / 2) * 1000) / 1000;
+  const acc = accuracy(t);
+  const gap = values[i] - values[i - 1];
+  if (acc > best.acc || (acc === best.acc && gap > best.gap)) best = { threshold: t, acc, gap };
+}
+
+for (const q of scored.sort((a, b) => a.confidence - b.confidence)) {
+  const wrong = (q.confidence >= MIN_CONFIDENCE) !== q.inScope;
+  if (VERBOSE || wrong) console.log(`${wrong ? "✖" : " "} ${q.inScope ? "in " : "out"}  ${q.confidence.toFixed(2)}  ${q.question}`);
+}
+
+const acc = accuracy(MIN_CONFIDENCE);
+const inScope = scored.filter((q) => q.inScope);
+const recall = inScope.filter((q) => q.confidence >= MIN_CONFIDENCE).length / inScope.length;
+console.log(`\nquestions: ${scored.length}  threshold: ${MIN_CONFIDENCE}  accuracy: ${acc.toFixed(2)}  in-scope kept: ${recall.toFixed(2)}`);
+console.log(`best threshold on this set: ${best.threshold} (accuracy ${best.acc.toFixed(2)})`);
+if (acc < MIN_ACC) {
+  console.log(`accuracy below ${MIN_ACC}`);
+  process.exit(1);
+}
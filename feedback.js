@@ -0,0 +1,167 @@
+// feedback.js — answer feedback + unanswered/low-confidence question log (JSONL under DATA_DIR), lead report
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { tokenize, stem } from "./searchIndex.js";
+import { MIN_CONFIDENCE } from "./rag.js";
+import { DATA_DIR } from "./config.js";
+
+const FEEDBACK_LOG = path.join(DATA_DIR, "feedback.jsonl");
+const UNANSWERED_LOG = path.join(DATA_DIR, "unanswered.jsonl");
+// answered, but close enough to the threshold to count as a gap
+const LOW_CONFIDENCE = Number(process.env.LOW_CONFIDENCE || MIN_CONFIDENCE + 0.15);
+const RECENT_MAX = 2000;
+const RECENT_TTL_MS = 24 * 60 * 60_000;
+
+/* ---------- JSONL ---------- */
+let _dirReady = false;
+function append(file, entry) {
+  try {
+    if (!_dirReady) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      _dirReady = true;
+    }
+    fs.appendFileSync(file, `${JSON.stringify(entry)}\n`, "utf-8");
+  } catch (e) {
+    console.warn(`[feedback] Could not write ${path.basename(file)}: ${e.message}`);
+  }
+}
+
+function readLog(file, sinceMs = 0) {
+  let raw = "";
+  try { raw = fs.readFileSync(file, "utf-8"); }
+  catch { return []; }
+  const out = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const e = JSON.parse(line);
+      if (!sinceMs || Date.parse(e.at) >= sinceMs) out.push(e);
+    } catch {}
+  }
+  return out;
+}
+
+/* ---------- Answers ---------- */
+// recent answers by id, so feedback can be tied to the sources the agent actually saw
+const _recent = new Map();
+
+// r: answerOne() result → r plus answerId; gaps go to the unanswered log
+export function recordAnswer({ question, market, caller }, r) {
+  const answerId = crypto.randomUUID();
+  const sourceIds = (r.sources || []).map((s) => s.id);
+  _recent.set(answerId, { question, market, sourceIds, confidence: r.confidence, engine: r.engine, at: Date.now() });
+  if (_recent.size > RECENT_MAX) _recent.delete(_recent.keys().next().value);
+
+  const uncovered = !sourceIds.length;
+  if (uncovered || (r.confidence ?? 0) < LOW_CONFIDENCE) {
+    append(UNANSWERED_LOG, {
+      at: new Date().toISOString(),
+      question,
+      market,
+      confidence: r.confidence ?? 0,
+      answered: !uncovered,
+      related: r.related || [],
+      caller,
+    });
+  }
+  return { ...r, answerId };
+}
+
+/* ---------- Feedback ---------- */
+const optional = (v, ok) => v === undefined || v === null || ok(v);
+const isString = (v) => typeof v === "string";
+
+// → { entry } or { error }
+export function recordFeedback({ answerId, rating, correction, question, sourceIds }, caller) {
+  if (!["up", "down"].includes(rating)) return { error: "invalid_rating" };
+  // an object here would be stored as "[object Object]"
+  if (![answerId, correction, question].every((v) => optional(v, isString))
+      || !optional(sourceIds, (v) => Array.isArray(v) && v.every(isString))) {
+    return { error: "invalid_feedback" };
+  }
+  const seen = _recent.get(answerId);
+  const known = seen && Date.now() - seen.at < RECENT_TTL_MS ? seen : null;
+  if (!known && !question) return { error: "unknown_answer" };
+  const entry = {
+    at: new Date().toISOString(),
+    answerId: answerId || null,
+    rating,
+    correction: String(correction || "").trim().slice(0, 2000) || null,
+    question: known?.question || String(question).slice(0, 500),
+    market: known?.market || null,
+    sourceIds: known?.sourceIds || (sourceIds || []).slice(0, 10),
+    confidence: known?.confidence ?? null,
+    engine: known?.engine || null,
+    caller,
+  };
+  append(FEEDBACK_LOG, entry);
+  return { entry };
+}
+
+/* ---------- Report ---------- */
+// Group questions by their most common shared term; a topic is that term plus its top companions.
+function clusterQuestions(entries) {
+  const terms = entries.map((e) => [...new Set(tokenize(e.question))]);
+  const df = new Map();
+  for (const ts of terms) for (const t of ts) df.set(t, (df.get(t) || 0) + 1);
+
+  // stems read badly ("leav"): label with the most common surface word per stem
+  const surface = new Map();
+  for (const e of entries) {
+    for (const w of String(e.question || "").toLowerCase().match(/[a-z0-9]+|[\u0621-\u064A]+/g) || []) {
+      const forms = surface.get(stem(w)) || new Map();
+      forms.set(w, (forms.get(w) || 0) + 1);
+      surface.set(stem(w), forms);
+    }
+  }
+  const word = (t) => [...(surface.get(t) || new Map([[t, 1]])).entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+  const groups = new Map();
+  entries.forEach((e, i) => {
+    const key = [...terms[i]].sort((a, b) => df.get(b) - df.get(a) || a.localeCompare(b))[0] || "(no terms)";
+    if (!groups.has(key)) groups.set(key, { entries: [], terms: new Map() });
+    const g = groups.get(key);
+    g.entries.push(e);
+    for (const t of terms[i]) if (t !== key) g.terms.set(t, (g.terms.get(t) || 0) + 1);
+  });
+
+  return [...groups.entries()]
+    .map(([key, g]) => ({
+      topic: [key, ...[...g.terms.entries()].sort((a, b) => b[1] - a[1]).slice(0, 2).map(([t]) => t)].map(word).join(" "),
+      count: g.entries.length,
+      unanswered: g.entries.filter((e) => !e.answered).length,
+      avgConfidence: Math.round((g.entries.reduce((s, e) => s + (e.confidence || 0), 0) / g.entries.length) * 100) / 100,
+      lastAsked: g.entries.map((e) => e.at).sort().pop(),
+      examples: [...new Set(g.entries.map((e) => e.question))].slice(0, 3),
+      related: [...new Set(g.entries.flatMap((e) => e.related || []))].slice(0, 3),
+    }))
+    .sort((a, b) => b.count - a.count || b.lastAsked.localeCompare(a.lastAsked));
+}
+
+// Most-asked uncovered topics (unanswered/low-confidence + thumbs-down questions) and the
+// sources that collect the most thumbs-down, over the last `days`.
+export function uncoveredReport({ days = 30, limit = 20 } = {}) {
+  const since = Date.now() - days * 24 * 60 * 60_000;
+  const gaps = readLog(UNANSWERED_LOG, since);
+  const feedback = readLog(FEEDBACK_LOG, since);
+  const down = feedback.filter((f) => f.rating === "down");
+
+  const downBySource = new Map();
+  for (const f of down) for (const id of f.sourceIds || []) downBySource.set(id, (downBySource.get(id) || 0) + 1);
+
+  return {
+    since: new Date(since).toISOString(),
+    questions: gaps.length,
+    topics: clusterQuestions([
+      ...gaps,
+      ...down.map((f) => ({ at: f.at, question: f.question, confidence: f.confidence, answered: true })),
+    ]).slice(0, limit),
+    feedback: {
+      up: feedback.length - down.length,
+      down: down.length,
+      corrections: down.filter((f) => f.correction).slice(-limit).map(({ at, question, correction, sourceIds }) => ({ at, question, correction, sourceIds })),
+      downvotedSources: [...downBySource.entries()].sort((a, b) => b[1] - a[1]).slice(0, limit).map(([id, count]) => ({ id, count })),
+    },
+  };
+}
@@ -1,19 +1,190 @@
+import fs from "fs";
+import url from "url";
+import dns from "dns";
+import net from "net";
+import http from "http";
+import https from "https";
 import probe from "probe-image-size";
+import { mapLimit } from "./asyncTools.js";
 
 // Allowed sizes
 const ALLOWED = new Set(["1200x1200", "1125x780"]);
+// per image kind (item photos are square, hero banners landscape); unknown kind → any allowed size
+const EXPECTED_BY_KIND = { item: ["1200x1200"], hero: ["1125x780"] };
 
-export async function checkImageUrl(url) {
+const TIMEOUT_MS = Number(process.env.IMAGE_CHECK_TIMEOUT_MS || 8000);
+const CONCURRENCY = Number(process.env.IMAGE_CHECK_CONCURRENCY || 4);
+// reading server-side paths is for offline testing only
+const ALLOW_LOCAL = /^(1|true|yes)$/i.test(process.env.IMAGE_CHECK_ALLOW_LOCAL || "");
+const MAX_REDIRECTS = 5;
+
+/* ---------- Public addresses only ---------- */
+// URLs come from merchant sheets: never reach loopback, private, link-local (cloud metadata) or reserved hosts
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12],
+  ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) BLOCKED.addSubnet(prefix, bits, "ipv4");
+for (const [prefix, bits] of [
+  ["::", 127], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+]) BLOCKED.addSubnet(prefix, bits, "ipv6"); // IPv4-mapped IPv6 (::ffff:a.b.c.d) is matched by the IPv4 list
+
+export function isBlockedAddress(ip) {
+  const family = net.isIP(ip);
+  return !family || BLOCKED.check(ip, family === 6 ? "ipv6" : "ipv4");
+}
+
+function blockedError(host, ip) {
+  return Object.assign(new Error(`${host} is not a public address${ip && ip !== host ? ` (${ip})` : ""}`), { code: "BLOCKED_URL" });
+}
+
+// dns.lookup that refuses private answers; used for the connection itself, so a rebinding host can't slip through
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const bad = addresses.find((a) => isBlockedAddress(a.address));
+    if (bad) return callback(blockedError(hostname, bad.address));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// GET an http(s) image, following redirects by hand so every hop is checked → response stream
+function openImage(src, timeoutMs, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    let target;
+    try { target = new URL(src); }
+    catch { return reject(new Error(`invalid URL: ${src}`)); }
+    if (!/^https?:$/.test(target.protocol)) return reject(blockedError(src));
+    const host = target.hostname.replace(/^\[|\]$/g, "");
+    if (net.isIP(host) && isBlockedAddress(host)) return reject(blockedError(host));
+
+    const client = target.protocol === "https:" ? https : http;
+    const req = client.get(target, { lookup: publicLookup, timeout: timeoutMs, headers: { accept: "image/*" } }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (redirects >= MAX_REDIRECTS) return reject(new Error(`more than ${MAX_REDIRECTS} redirects`));
+        return resolve(openImage(new URL(res.headers.location, target).href, timeoutMs, redirects + 1));
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        return reject(new Error(`HTTP ${res.statusCode}`));
+      }
+      resolve(res);
+    });
+    req.on("timeout", () => req.destroy(new Error(`timeout after ${timeoutMs}ms`)));
+    req.on("error", reject);
+  });
+}
+
+function expectedFor(kind) {
+  return EXPECTED_BY_KIND[kind] || [...ALLOWED];
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`timeout after ${ms}ms`)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+function sizeResult(info, kind) {
+  const expected = expectedFor(kind);
+  const key = `${info.width}x${info.height}`;
+  return {
+    ok: expected.includes(key),
+    width: info.width,
+    height: info.height,
+    actual: key,
+    expected,
+  };
+}
+
+// Local path or file:// URL → read from disk instead of HTTP
+function localPath(src) {
+  if (/^file:\/\//i.test(src)) return url.fileURLToPath(src);
+  if (!/^https?:\/\//i.test(src)) return src;
+  return null;
+}
+
+export async function checkImageFile(filePath, { kind, timeoutMs = TIMEOUT_MS } = {}) {
+  const stream = fs.createReadStream(filePath);
   try {
-    const info = await probe(url);
-    const key = `${info.width}x${info.height}`;
-    return {
-      ok: ALLOWED.has(key),
-      width: info.width,
-      height: info.height,
-      expected: ["1200x1200", "1125x780"],
-    };
+    const info = await withTimeout(probe(stream), timeoutMs);
+    return sizeResult(info, kind);
   } catch (e) {
-    return { ok: false, error: "unreadable_image", details: String(e) };
+    return { ok: false, error: "unreadable_image", details: String(e), expected: expectedFor(kind) };
+  } finally {
+    stream.destroy();
+  }
+}
+
+export async function checkImageUrl(src, { kind, timeoutMs = TIMEOUT_MS } = {}) {
+  const local = localPath(String(src || "").trim());
+  if (local && !ALLOW_LOCAL) {
+    return { ok: false, error: "not_a_url", details: "Only http(s) image URLs are accepted", expected: expectedFor(kind) };
+  }
+  if (local) return checkImageFile(local, { kind, timeoutMs });
+  let res;
+  try {
+    const info = await withTimeout(openImage(src, timeoutMs).then((r) => probe((res = r))), timeoutMs);
+    return sizeResult(info, kind);
+  } catch (e) {
+    const error = e.code === "BLOCKED_URL" ? "blocked_url" : "unreadable_image";
+    return { ok: false, error, details: String(e.message || e), expected: expectedFor(kind) };
+  } finally {
+    res?.destroy();
+  }
+}
+
+// sources: [{ url, kind }] or plain URL strings; same URL is only probed once
+export async function checkImages(sources, { concurrency = CONCURRENCY, timeoutMs = TIMEOUT_MS } = {}) {
+  const list = sources.map((s) => (typeof s === "string" ? { url: s } : s));
+  const cache = new Map();
+  return mapLimit(list, concurrency, async ({ url: src, kind }) => {
+    const key = `${kind || ""}|${src}`;
+    if (!cache.has(key)) cache.set(key, checkImageUrl(src, { kind, timeoutMs }));
+    return { url: src, kind: kind || null, ...(await cache.get(key)) };
+  });
+}
+
+/* ---------- Menu columns ---------- */
+// canonical image column → image kind
+export const IMAGE_COLUMNS = { image_url: "item", hero_image: "hero" };
+
+// all image sources in canonical rows, for one checkImages() pass
+export function collectImageSources(rows) {
+  const out = [];
+  for (const row of rows) {
+    for (const [col, kind] of Object.entries(IMAGE_COLUMNS)) {
+      const src = String(row?.[col] || "").trim();
+      if (src) out.push({ url: src, kind });
+    }
+  }
+  return out;
+}
+
+// issues for one canonical row given checkImages() results keyed by `${kind}|${url}`
+export function imageIssues(row, results) {
+  if (!results) return [];
+  const issues = [];
+  for (const [col, kind] of Object.entries(IMAGE_COLUMNS)) {
+    const src = String(row?.[col] || "").trim();
+    const r = src && results.get(`${kind}|${src}`);
+    if (!r || r.ok) continue;
+    issues.push({
+      field: col, type: "image_size",
+      message: r.error
+        ? `Image could not be read (${r.error})`
+        : `Image is ${r.actual}; expected ${r.expected.join(" or ")}`,
+      fix: `Upload a ${r.expected.join(" or ")} image`,
+      actual: r.actual || null,
+      expected: r.expected,
+      autoFix: false,
+    });
   }
+  return issues;
 }
@@ -1,114 +1,437 @@
-// knowledgeLoader.js — load JSON from root or /knowledge, keep only policy-ish lines
+// knowledgeLoader.js — load JSON from root or /knowledge into section-aware chunks
 import fs from "fs";
 import path from "path";
 import url from "url";
+import crypto from "crypto";
+import { isPrivateFile } from "./config.js";
+import { marketOf, normalizeMarket } from "./markets.js";
 
 const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
-const CANDIDATE_DIRS = [
+// make_knowledge.mjs / admin uploads write here; loaded next to the root SOPs (a same-named file adds, never hides)
+export const KNOWLEDGE_DIR = path.resolve(process.env.KNOWLEDGE_DIR || path.join(process.cwd(), "knowledge"));
+const CANDIDATE_DIRS = [...new Set([
+  KNOWLEDGE_DIR,
   process.cwd(),
-  path.join(process.cwd(), "knowledge"),
-  __dirname,
   path.join(__dirname, "knowledge"),
-];
+  __dirname,
+])];
 
 let _cache = null;
+let _version = null; // { hash, loadedAt, files, chunks }
+let _sources = null;  // { knowledge: [{ file, name }], reference: [paths] } behind _version
+const _listeners = new Set();
+
+// reference data (make_knowledge.mjs output, QC config) — used by QC, not retrieval; npm manifests sit in the root too
+const REFERENCE_FILES = new Set(["glossary.json", "tags.json", "dictionary.json", "qc_rules.json", "package.json", "package-lock.json"]);
 
 function safeReadJSON(p) {
   try { return JSON.parse(fs.readFileSync(p, "utf-8")); }
   catch { return null; }
 }
 
-function isHeading(s) {
-  const t = s.trim();
-  if (!t) return true;
-  // very short, few words, or ends without punctuation
-  const words = t.split(/\s+/);
-  const looksTitleCase = /^[A-Z][A-Za-z0-9]+(?:\s+[A-Z][A-Za-z0-9]+)*$/.test(t);
-  return (
-    t.length < 35 ||
-    words.length <= 4 ||
-    looksTitleCase ||
-    /^[*•-]\s*$/.test(t)
-  );
-}
-function isRuleLike(s) {
-  const t = s.trim();
-  if (t.length < 40) return false;
-  if (!/[.!?]$/.test(t)) return false;
-  return /(must|should|required|don’t|do not|avoid|use|set|add|choose|is|are|dimensions?|size|1200|1125|780|CR|TL|VAT|tax|tags)/i.test(t);
-}
-
-function explodeToLines(x) {
-  // Flatten any JSON into individual lines
-  const lines = [];
-  (function walk(v) {
-    if (typeof v === "string") {
-      v.split(/\r?\n/).forEach(line => {
-        const t = line.trim();
-        if (t) lines.push(t);
+/* ---------- Markets ---------- */
+// JSON keys like "UAE" / "KSA" set the market of everything under them (codes from markets.js)
+const marketCode = (v) => normalizeMarket(v);
+
+/* ---------- Text cleanup ---------- */
+const MAX_CHUNK_CHARS = 700;
+
+function cleanLine(s) {
+  return String(s)
+    // drop inline base64 images (multi-MB lines in converted docx) and heading anchors
+    .replace(/!\[[^\]]*\]\(data:[^)]*\)/g, "")
+    .replace(/<a id="[^"]*"><\/a>/g, "")
+    .replace(/__/g, "")
+    // markdown escapes from docx conversion: 4\.2 → 4.2
+    .replace(/\\([^\w\s])/g, "$1")
+    // remove bullets markers
+    .replace(/^\s*[*•-]\s*/, "")
+    // drop slide/page/file meta (bounded \S so long tokens can't go quadratic)
+    .replace(/\bslide\s*\d+\b|\bpage\s*\d+\b|\b\S{1,120}\.(pptx?|pdf|docx?)\b/gi, "")
+    .replace(/‹#›/g, "")
+    .replace(/[ \t]+/g, " ")
+    .trim();
+}
+
+// "SOP_ Menu Tags Guidelines (1).docx — 4\.2\.2  UAE tags policies (part 1)" → "4.2.2 UAE tags policies"
+function cleanTitle(s) {
+  const parts = String(s || "").split(" — ");
+  const t = parts.length > 1 && /\.(pptx?|pdf|docx?)\b/i.test(parts[0]) ? parts.slice(1).join(" — ") : parts.join(" — ");
+  return cleanLine(t).replace(/\(part \d+\)/gi, "").replace(/\s+/g, " ").trim();
+}
+
+// 01_company_details → Company details
+function humanize(key) {
+  const t = String(key).replace(/^\d+_/, "").replace(/_/g, " ").trim();
+  return marketCode(t) && t.length <= 3 ? t.toUpperCase() : t.charAt(0).toUpperCase() + t.slice(1);
+}
+
+// "For KSA Market:", "__Cuisine Tags:__" — short line introducing the bullets under it
+const isSubHeading = (t) => t.length <= 60 && /:$/.test(t);
+// no letters/digits, or a bare list number ("4.")
+const isNoise = (t) => !/[\p{L}\p{N}]/u.test(t) || /^\d+[.)]$/.test(t);
+
+/* ---------- Chunk builder ---------- */
+// Collects chunks for one file; lines under one heading stay together (split by market and size)
+function chunkCollector(file, fallbackTopic) {
+  const chunks = [];
+  const stem = file.replace(/\.json$/i, "");
+
+  // lines: strings; section: heading path; ctx: { market, topic, source, id }
+  function add(lines, section, ctx) {
+    const title = section.filter(Boolean).join(" > ");
+    const items = lines
+      .map((t) => ({ text: t, market: marketOf(t) || ctx.market || "ALL" }))
+      .filter((l) => l.text && !isNoise(l.text));
+    const groups = [];
+    for (const l of items) {
+      const g = groups[groups.length - 1];
+      const fits = g && g.market === l.market && g.len + l.text.length <= MAX_CHUNK_CHARS;
+      if (fits) { g.lines.push(l.text); g.len += l.text.length; }
+      else groups.push({ market: l.market, lines: [l.text], len: l.text.length });
+    }
+    const base = ctx.id || `${stem}:${section.filter(Boolean).map((x) => x.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "")).join(".") || "root"}`;
+    for (const g of groups) {
+      chunks.push({
+        id: base, // made unique in withStableIds
+        title: title || ctx.source || file,
+        source: ctx.source || file,
+        section: section.filter(Boolean),
+        market: g.market,
+        topic: ctx.topic || fallbackTopic,
+        text: g.lines.join("\n"),
       });
-    } else if (Array.isArray(v)) v.forEach(walk);
-    else if (v && typeof v === "object") Object.values(v).forEach(walk);
-  })(x);
-  return lines;
+    }
+  }
+
+  // free text (docx/pptx conversions): continuation fragments are re-joined,
+  // "Heading:" lines start a sub-section, the first short line of a slide titles it
+  function addText(text, section, ctx) {
+    const lines = [];
+    for (const raw of String(text).split(/\r?\n|\s•\s/)) {
+      const t = cleanLine(raw);
+      if (!t || isNoise(t)) {
+        if (t && lines.length && /^[.,;:)]/.test(t)) lines[lines.length - 1] += t;
+        continue;
+      }
+      // pptx splits sentences into fragments: "in case" / "of Careem fulfillment only." / "t" + "ax on"
+      const prev = lines[lines.length - 1];
+      if (prev && /(^|\s)[B-Zb-z]$/.test(prev) && /^[A-Za-z]/.test(t)) lines[lines.length - 1] += t;
+      else if (prev && !isSubHeading(prev) && (/^[a-z("'“.,;:)]/.test(t) || /([,(]|\b(the|a|an|of|to|with|from|and|or|for|in|on|as))$/.test(prev))) {
+        lines[lines.length - 1] += ` ${t}`;
+      }
+      else lines.push(t);
+    }
+    // a lone slide title ("Brand") carries no rule
+    if (lines.length === 1 && lines[0].split(/\s+/).length <= 3 && !/[.:!?%\d]/.test(lines[0])) return;
+    let head = section;
+    if (lines.length > 1 && lines[0].split(/\s+/).length <= 4 && !/[.:!?]$/.test(lines[0]) && !section[section.length - 1]) {
+      head = [...section.slice(0, -1), lines.shift()];
+    }
+    let sub = null;
+    let body = [];
+    const flush = () => {
+      if (body.length) add(body, [...head, sub], { ...ctx, market: (sub && marketOf(sub)) || ctx.market });
+      body = [];
+    };
+    for (const t of lines) {
+      if (isSubHeading(t)) { flush(); sub = t.replace(/:$/, "").trim(); }
+      else body.push(t);
+    }
+    flush();
+  }
+
+  // structured JSON: keys/section titles become the heading path, arrays of short bullets stay together
+  function walk(v, section, ctx) {
+    if (typeof v === "string" || typeof v === "number") {
+      if (typeof v === "string" && /\n/.test(v)) addText(v, section, ctx);
+      else add([String(v)], section, ctx);
+      return;
+    }
+    if (Array.isArray(v)) {
+      const scalars = v.filter((x) => typeof x === "string" || typeof x === "number").map(String);
+      if (scalars.length) {
+        if (scalars.some((x) => /\n/.test(x))) scalars.forEach((x) => addText(x, section, ctx));
+        else add(scalars, section, ctx);
+      }
+      const rows = v.filter((x) => x && typeof x === "object" && !Array.isArray(x));
+      const flat = rows.filter((o) => Object.values(o).every((x) => typeof x !== "object"));
+      // knowledge entries (make_knowledge.mjs / baseChunks.json): { title|source, market, topic, text, id? }
+      const entries = rows.filter((o) => typeof o.text === "string" && (o.title || o.source || o.id));
+      for (const e of entries) {
+        const title = cleanTitle(e.source || e.title || "");
+        const topic = e.topic ? guessTopicFromName(e.topic) : null;
+        const entryCtx = {
+          ...ctx,
+          id: e.id ? String(e.id) : null,
+          source: e.source ? String(e.source) : ctx.source,
+          market: marketOf(title) || marketCode(e.market) || ctx.market,
+          topic: topic && topic !== "misc" ? topic : ctx.topic,
+        };
+        if (e.id) add([cleanLine(e.text)], [title], entryCtx);
+        else addText(e.text, [title], entryCtx);
+      }
+      // table-like rows without a title ({ type, use }) → one line per row
+      const table = flat.filter((o) => !entries.includes(o) && !o.title);
+      if (table.length) add(table.map((o) => Object.entries(o).map(([k, x]) => `${humanize(k)}: ${x}`).join(", ")), section, ctx);
+      for (const o of rows) if (!entries.includes(o) && !table.includes(o)) walk(o, section, ctx);
+      return;
+    }
+    if (v && typeof v === "object") {
+      // { id: "2.0", title: "Capitalization", ... } → "2.0 Capitalization"
+      const own = typeof v.title === "string" ? [v.id, v.title].filter(Boolean).join(" ") : null;
+      const here = own ? [...section, own] : section;
+      const here_ctx = own ? { ...ctx, market: marketOf(own) || ctx.market } : ctx;
+      const lines = [];
+      for (const [k, x] of Object.entries(v)) {
+        if (own && (k === "id" || k === "title")) continue;
+        if (typeof x === "string" && !/\n/.test(x) || typeof x === "number") lines.push(`${humanize(k)}: ${x}`);
+        else if (x !== null && x !== undefined && x !== "") walk(x, [...here, humanize(k)], { ...here_ctx, market: marketCode(k) || here_ctx.market });
+      }
+      if (lines.length) add(lines, here, here_ctx);
+    }
+  }
+
+  return { chunks, walk };
 }
 
-function normalizeFileToChunks(json, fallbackTopic, filename) {
-  const lines = explodeToLines(json)
-    // remove bullets markers
-    .map(s => s.replace(/^\s*[*•-]\s*/, "").trim())
-    // drop slide/page/file meta
-    .map(s => s.replace(/\bslide\s*\d+\b|\bpage\s*\d+\b|\b\S+\.(pptx?|pdf|docx?)\b/gi, "").trim())
-    // filter out headings
-    .filter(s => !isHeading(s));
-
-  const rules = lines.filter(isRuleLike);
-  const texts = rules.length ? rules : lines; // fallback if rules are scarce
-
-  return texts.map(t => ({
-    title: filename,
-    market: "ALL",
-    topic: fallbackTopic,
-    text: t
+// meta/toc are document furniture, not rules
+const SKIP_KEYS = new Set(["meta", "toc"]);
+
+function fileToChunks(json, fallbackTopic, filename) {
+  const { chunks, walk } = chunkCollector(filename, fallbackTopic);
+  const source = (json && !Array.isArray(json) && json.meta?.title) || filename;
+  const ctx = { market: "ALL", topic: fallbackTopic, source };
+  if (json && typeof json === "object" && !Array.isArray(json)) {
+    for (const [k, v] of Object.entries(json)) {
+      if (SKIP_KEYS.has(k)) continue;
+      walk(v, k === "sections" ? [] : [humanize(k)], { ...ctx, market: marketCode(k) || "ALL" });
+    }
+  } else walk(json, [], ctx);
+
+  // converted decks repeat slides; keep the first copy of each line group
+  const seen = new Set();
+  return withStableIds(chunks.filter((c) => {
+    const key = `${c.market}|${c.text.toLowerCase()}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
   }));
 }
 
+// ids come from the heading path; a heading with several chunks adds a short hash of each chunk's
+// text, so inserting one chunk does not renumber (and show as changed) every chunk after it
+function withStableIds(chunks) {
+  const count = new Map();
+  for (const c of chunks) count.set(c.id, (count.get(c.id) || 0) + 1);
+  const used = new Set();
+  for (const c of chunks) {
+    if (count.get(c.id) > 1) {
+      const digest = crypto.createHash("sha1").update(`${c.market}\u0000${c.text}`).digest("hex").slice(0, 8);
+      let id = `${c.id}#${digest}`;
+      for (let n = 2; used.has(id); n++) id = `${c.id}#${digest}-${n}`;
+      c.id = id;
+    }
+    used.add(c.id);
+  }
+  return chunks;
+}
+
 function guessTopicFromName(name) {
   const n = name.toLowerCase();
   if (n.includes("company")) return "company";
   if (n.includes("tags_guideline") || n.includes("tags_sop") || n.includes("tags")) return "tags";
-  if (n.includes("writing")) return "writing";
+  if (n.includes("writing") || n.includes("translation")) return "writing";
   if (n.includes("image")) return "images";
   if (n.includes("zone")) return "zones";
   return "misc";
 }
 
-export function getKnowledge() {
-  if (_cache) return _cache;
+// for validating converter output before it goes live
+export function chunksFromJson(json, filename) {
+  return fileToChunks(json, guessTopicFromName(filename), filename);
+}
 
-  const results = [];
-  const seenFiles = new Set();
+/* ---------- Load / reload ---------- */
+// Read every knowledge file; the hash also covers QC reference data so /health shows any SOP change
+function readKnowledge() {
+  const chunks = [];
+  const files = [];
+  const seen = new Set(); // full paths, like the pre-upload loader: knowledge/company_sop.json must not shadow the root one
+  const names = new Set();
+  const hash = crypto.createHash("sha1");
 
   for (const dir of CANDIDATE_DIRS) {
-    let files = [];
-    try { files = fs.readdirSync(dir).filter(f => f.toLowerCase().endsWith(".json")); }
+    let list = [];
+    try {
+      list = fs.readdirSync(dir)
+        .filter(f => f.toLowerCase().endsWith(".json") && !REFERENCE_FILES.has(f.toLowerCase()) && !isPrivateFile(path.join(dir, f)))
+        .sort();
+    }
     catch { continue; }
 
-    for (const f of files) {
+    for (const f of list) {
       const full = path.join(dir, f);
-      if (seenFiles.has(full)) continue;
-      seenFiles.add(full);
+      if (seen.has(full)) continue;
+      seen.add(full);
+      let raw;
+      try { raw = fs.readFileSync(full, "utf-8"); }
+      catch { continue; }
+      let json;
+      try { json = JSON.parse(raw); }
+      catch { console.warn(`[knowledgeLoader] Skipping ${f}: invalid JSON`); continue; }
+      // a second file with the same name gets its folder in the chunk ids so ids stay unique
+      const label = names.has(f.toLowerCase()) ? `${path.basename(dir)}/${f}` : f;
+      names.add(f.toLowerCase());
+      hash.update(`${label}\u0000${raw}\u0000`);
+      files.push({ file: full, name: label });
+      chunks.push(...fileToChunks(json, guessTopicFromName(f), label));
+    }
+  }
+
+  const reference = [];
+  for (const file of [glossaryPath(), tagsPath(), dictionaryPath()]) {
+    if (!file) continue;
+    try { hash.update(`${path.basename(file)}\u0000`).update(fs.readFileSync(file)); }
+    catch { continue; }
+    reference.push(file);
+  }
+  return { chunks, files, reference, hash: hash.digest("hex").slice(0, 12) };
+}
 
-      const json = safeReadJSON(full);
-      if (!json) continue;
+function swap(next) {
+  _cache = next.chunks;
+  _sources = { knowledge: next.files, reference: next.reference };
+  _tags = null;
+  _version = {
+    hash: next.hash,
+    loadedAt: new Date().toISOString(),
+    files: next.files.map(f => f.name),
+    chunks: next.chunks.length,
+  };
+  console.log(`[knowledgeLoader] Loaded ${next.chunks.length} knowledge chunks (${next.hash})`);
+}
 
-      const topic = guessTopicFromName(f);
-      const chunks = normalizeFileToChunks(json, topic, f);
-      results.push(...chunks);
+export function getKnowledge() {
+  if (!_cache) swap(readKnowledge());
+  return _cache;
+}
+
+// Re-read from disk and swap in one assignment (readers keep the array they already hold).
+// An empty result never replaces a non-empty set. Listeners run only when the hash changed
+// and get (version, reason) — reason says what triggered it ("watch", "upload", "rollback", …).
+export function reloadKnowledge({ force = false, reason = "reload" } = {}) {
+  const next = readKnowledge();
+  if (!next.chunks.length && _cache?.length) throw new Error("new knowledge set is empty; keeping the current one");
+  if (_version && next.hash === _version.hash && !force) return { changed: false, version: _version };
+  swap(next);
+  for (const fn of _listeners) {
+    try { fn(_version, reason); }
+    catch (e) { console.error("[knowledgeLoader] change listener failed:", e.message); }
+  }
+  return { changed: true, version: _version };
+}
+
+export function knowledgeVersion() {
+  getKnowledge();
+  return _version;
+}
+
+// files behind the live set (snapshots copy these); name is the chunk-id label, "dir/file.json" for a repeated name
+export function knowledgeSources() {
+  getKnowledge();
+  return _sources;
+}
+
+export function onKnowledgeChange(fn) {
+  _listeners.add(fn);
+  return () => _listeners.delete(fn);
+}
+
+// Reload when JSON/TXT files change in the knowledge folders; returns a stop function
+const WATCH_DEBOUNCE_MS = 500;
+export function watchKnowledge() {
+  let timer = null;
+  const watchers = [];
+  const trigger = (file) => {
+    if (file && !/\.(json|txt)$/i.test(String(file))) return; // *.tmp from atomic writes, uploads, etc.
+    if (file && isPrivateFile(file)) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      try { reloadKnowledge({ reason: "watch" }); }
+      catch (e) { console.warn(`[knowledgeLoader] Reload skipped: ${e.message}`); }
+    }, WATCH_DEBOUNCE_MS);
+  };
+  try { fs.mkdirSync(KNOWLEDGE_DIR, { recursive: true }); } catch {}
+  for (const dir of CANDIDATE_DIRS) {
+    if (!fs.existsSync(dir)) continue;
+    try { watchers.push(fs.watch(dir, (_event, file) => trigger(file))); }
+    catch (e) { console.warn(`[knowledgeLoader] Cannot watch ${dir}: ${e.message}`); }
+  }
+  return () => {
+    clearTimeout(timer);
+    watchers.forEach(w => w.close());
+  };
+}
+
+/* ---------- QC reference data ---------- */
+function findFile(names) {
+  for (const dir of CANDIDATE_DIRS) {
+    for (const n of names) {
+      const full = path.join(dir, n);
+      if (fs.existsSync(full)) return full;
     }
   }
+  return null;
+}
+
+// glossary.json from make_knowledge.mjs (buildGlossaryJSON): { AE:[{en,ar}], JO:[{en,ar}] }
+const glossaryPath = () => process.env.QC_GLOSSARY_PATH || findFile(["glossary.json"]);
+const dictionaryPath = () => process.env.QC_DICTIONARY_PATH || findFile(["dictionary.txt", "dictionary.json"]);
+const tagsPath = () => process.env.QC_TAGS_PATH || findFile(["tags.json"]);
+
+export function loadGlossary() {
+  const file = glossaryPath();
+  const json = file ? safeReadJSON(file) : null;
+  if (!json || typeof json !== "object") {
+    console.log("[knowledgeLoader] No glossary.json found; translation checks off");
+    return null;
+  }
+  const counts = Object.entries(json).map(([m, pairs]) => `${m}:${pairs?.length || 0}`).join(" ");
+  console.log(`[knowledgeLoader] Loaded glossary (${counts})`);
+  return json;
+}
 
-  _cache = results;
-  console.log(`[knowledgeLoader] Loaded ${results.length} policy lines`);
-  return _cache;
+// English word list: dictionary.txt (one word per line) or dictionary.json (array)
+export function loadDictionary() {
+  const file = dictionaryPath();
+  let words = [];
+  if (file && file.toLowerCase().endsWith(".json")) {
+    const json = safeReadJSON(file);
+    if (Array.isArray(json)) words = json;
+  } else if (file) {
+    try { words = fs.readFileSync(file, "utf-8").split(/\r?\n/); }
+    catch { words = []; }
+  }
+  words = Array.from(new Set(words.map(w => String(w).trim()).filter(Boolean)));
+  if (!words.length) {
+    console.log("[knowledgeLoader] No English dictionary found; spelling checks off");
+    return null;
+  }
+  console.log(`[knowledgeLoader] Loaded ${words.length} dictionary words`);
+  return words;
+}
+
+// tags.json from make_knowledge.mjs (buildTagsJSON): { cuisine:[{tag,keywords}], extra:[...] }
+let _tags = null;
+export function loadTags() {
+  if (_tags) return _tags;
+  const file = tagsPath();
+  const json = file ? safeReadJSON(file) : null;
+  _tags = {
+    cuisine: Array.isArray(json?.cuisine) ? json.cuisine : [],
+    extra: Array.isArray(json?.extra) ? json.extra : [],
+  };
+  console.log(`[knowledgeLoader] Loaded tags (cuisine:${_tags.cuisine.length} extra:${_tags.extra.length})`);
+  return _tags;
 }
@@ -0,0 +1,196 @@
+// knowledgeVersions.js — versioned snapshots of the live knowledge set, rule-level diff, rollback
+import fs from "fs";
+import path from "path";
+import {
+  KNOWLEDGE_DIR,
+  getKnowledge,
+  knowledgeVersion,
+  knowledgeSources,
+  chunksFromJson,
+  reloadKnowledge,
+} from "./knowledgeLoader.js";
+import { isPrivateFile } from "./config.js";
+
+const SNAPSHOT_DIR = path.resolve(process.env.KNOWLEDGE_SNAPSHOT_DIR || "./knowledge_versions");
+const KEEP = Number(process.env.KNOWLEDGE_SNAPSHOT_KEEP || 50);
+// QC reference data travels with the snapshot but is not retrieval knowledge
+const REFERENCE_NAMES = new Set(["glossary.json", "tags.json", "dictionary.txt", "dictionary.json"]);
+// npm manifests and QC config may share KNOWLEDGE_DIR (e.g. the repo root): a rollback never writes or removes them,
+// nor the key store (config.js), even if an older snapshot holds it
+const PROTECTED_NAMES = new Set(["package.json", "package-lock.json", "qc_rules.json"]);
+const isProtected = (file) => isPrivateFile(file) || PROTECTED_NAMES.has(path.basename(file).toLowerCase());
+const VALID_ID = /^[\w-]+$/;
+// knowledge files that a publish or a rollback created (full paths) — the only ones a rollback may remove
+const CREATED_FILE = path.join(SNAPSHOT_DIR, "created_files.json");
+
+/* ---------- Created files ---------- */
+function readCreated() {
+  try { return new Set(JSON.parse(fs.readFileSync(CREATED_FILE, "utf-8"))); }
+  catch { return new Set(); }
+}
+
+function writeCreated(created) {
+  fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+  const tmp = `${CREATED_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify([...created].sort(), null, 2), "utf-8");
+  fs.renameSync(tmp, CREATED_FILE);
+}
+
+// Call before writing knowledge files: remembers the ones that do not exist yet
+export function recordCreatedFiles(files) {
+  const created = readCreated();
+  const fresh = files.map((f) => path.resolve(f)).filter((f) => !created.has(f) && !fs.existsSync(f));
+  if (!fresh.length) return;
+  for (const f of fresh) created.add(f);
+  writeCreated(created);
+}
+
+/* ---------- Snapshots ---------- */
+function readManifest(id) {
+  if (!VALID_ID.test(String(id))) return null;
+  try { return JSON.parse(fs.readFileSync(path.join(SNAPSHOT_DIR, id, "manifest.json"), "utf-8")); }
+  catch { return null; }
+}
+
+// newest first
+export function listVersions() {
+  let ids = [];
+  try { ids = fs.readdirSync(SNAPSHOT_DIR); }
+  catch { return []; }
+  return ids
+    .map(readManifest)
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
+}
+
+// Copy the files behind the live set; skipped when the newest snapshot already has this hash
+export function snapshotKnowledge({ source = "reload", note = "" } = {}) {
+  const version = knowledgeVersion();
+  const latest = listVersions()[0];
+  if (latest?.hash === version.hash) return { created: false, version: latest };
+
+  const createdAt = new Date().toISOString();
+  const id = `${createdAt.replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z")}-${version.hash}`;
+  const dir = path.join(SNAPSHOT_DIR, id);
+  const { knowledge, reference } = knowledgeSources();
+  const files = [];
+  const outside = []; // knowledge files outside KNOWLEDGE_DIR (root SOPs): diffed, never restored
+  for (const { file, name } of [...knowledge, ...reference.map((file) => ({ file, name: path.basename(file) }))]) {
+    if (isPrivateFile(file)) continue;
+    fs.mkdirSync(path.dirname(path.join(dir, "files", name)), { recursive: true });
+    fs.copyFileSync(file, path.join(dir, "files", name));
+    files.push(name);
+    if (path.dirname(file) !== KNOWLEDGE_DIR && !REFERENCE_NAMES.has(name.toLowerCase())) outside.push(name);
+  }
+  const manifest = { id, hash: version.hash, createdAt, source, note, files, outside, chunks: version.chunks };
+  fs.writeFileSync(path.join(dir, "manifest.json"), JSON.stringify(manifest, null, 2), "utf-8");
+  console.log(`[knowledgeVersions] Snapshot ${id} (${source})`);
+  prune();
+  return { created: true, version: manifest };
+}
+
+function prune() {
+  for (const old of listVersions().slice(Math.max(1, KEEP))) {
+    try { fs.rmSync(path.join(SNAPSHOT_DIR, old.id), { recursive: true, force: true }); }
+    catch {}
+  }
+}
+
+// Chunks of a stored version, or the live set for "live"
+function versionChunks(id) {
+  if (!id || id === "live") return getKnowledge();
+  const manifest = readManifest(id);
+  if (!manifest) throw new Error(`unknown version: ${id}`);
+  const chunks = [];
+  for (const name of manifest.files) {
+    if (REFERENCE_NAMES.has(name.toLowerCase())) continue;
+    try {
+      const json = JSON.parse(fs.readFileSync(path.join(SNAPSHOT_DIR, id, "files", name), "utf-8"));
+      chunks.push(...chunksFromJson(json, name));
+    } catch {}
+  }
+  return chunks;
+}
+
+/* ---------- Diff ---------- */
+// Rule-level diff: identical text (same market) is unchanged wherever it moved; otherwise chunks
+// pair up by id as "changed"; the rest are added/removed. Grouped by topic + market.
+export function diffVersions(from, to = "live") {
+  const before = versionChunks(from);
+  const after = versionChunks(to);
+  const key = (c) => `${c.market}|${c.text}`;
+
+  const afterKeys = new Set(after.map(key));
+  const beforeKeys = new Set(before.map(key));
+  const removed = before.filter((c) => !afterKeys.has(key(c)));
+  const added = after.filter((c) => !beforeKeys.has(key(c)));
+
+  const addedById = new Map(added.map((c) => [c.id, c]));
+  const changed = [];
+  const gone = [];
+  for (const c of removed) {
+    const now = addedById.get(c.id);
+    if (now) {
+      changed.push({ before: c, after: now });
+      addedById.delete(c.id);
+    } else gone.push(c);
+  }
+  const fresh = [...addedById.values()];
+
+  const groups = new Map();
+  const group = (c) => {
+    const k = `${c.topic}|${c.market}`;
+    if (!groups.has(k)) groups.set(k, { topic: c.topic, market: c.market, added: [], removed: [], changed: [] });
+    return groups.get(k);
+  };
+  const brief = (c) => ({ id: c.id, title: c.title, text: c.text });
+  for (const c of fresh) group(c).added.push(brief(c));
+  for (const c of gone) group(c).removed.push(brief(c));
+  for (const { before: b, after: a } of changed) {
+    group(a).changed.push({ id: a.id, title: a.title, before: b.text, after: a.text });
+  }
+
+  return {
+    from: from || "live",
+    to: to || "live",
+    summary: { added: fresh.length, removed: gone.length, changed: changed.length },
+    groups: [...groups.values()].sort((a, b) => a.topic.localeCompare(b.topic) || a.market.localeCompare(b.market)),
+  };
+}
+
+/* ---------- Rollback ---------- */
+// Write the version's KNOWLEDGE_DIR files back, drop the KNOWLEDGE_DIR files a publish or rollback
+// created that the version did not have, then reload. Root SOPs (versioned with the code), npm and
+// QC config and hand-placed files are left alone — hashMatches says whether the live set now equals
+// the version.
+export function rollbackKnowledge(id) {
+  const manifest = readManifest(id);
+  if (!manifest) throw new Error(`unknown version: ${id}`);
+
+  fs.mkdirSync(KNOWLEDGE_DIR, { recursive: true });
+  const outside = new Set(manifest.outside || []);
+  const files = manifest.files.filter((f) => !outside.has(f) && !isProtected(f));
+  const keep = new Set(files.map((f) => f.toLowerCase()));
+  recordCreatedFiles(files.map((name) => path.join(KNOWLEDGE_DIR, name)));
+  for (const name of files) {
+    const target = path.join(KNOWLEDGE_DIR, name);
+    const tmp = `${target}.tmp`;
+    fs.copyFileSync(path.join(SNAPSHOT_DIR, id, "files", name), tmp);
+    fs.renameSync(tmp, target);
+  }
+  const created = readCreated();
+  const removed = [];
+  for (const file of created) {
+    const name = path.basename(file);
+    if (path.dirname(file) !== KNOWLEDGE_DIR || keep.has(name.toLowerCase()) || isProtected(file)) continue;
+    if (fs.existsSync(file)) {
+      fs.rmSync(file, { force: true });
+      removed.push(name);
+    }
+    created.delete(file);
+  }
+  writeCreated(created);
+
+  const { version } = reloadKnowledge({ force: true, reason: `rollback:${id}` });
+  return { version, restored: files, removed, hashMatches: version.hash === manifest.hash };
+}
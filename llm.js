@@ -0,0 +1,274 @@
+// llm.js — one text-generation interface over Gemini, OpenAI-compatible servers and a local mock
+// Config: LLM_PROVIDER (gemini | openai | mock | off), LLM_MODELS (fallback chain, comma-separated),
+// LLM_TEMPERATURE, LLM_MAX_TOKENS, LLM_RETRIES, LLM_TIMEOUT_MS, LLM_CACHE_TTL_MS.
+import "dotenv/config";
+import crypto from "crypto";
+
+const env = (name, fallback) => process.env[name] ?? fallback;
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/* ---------- Providers ---------- */
+// provider: { name, ready() → bool, defaultModels() → [], generate(prompt, { model, temperature, maxTokens, timeoutMs }) → text,
+//             stream(prompt, same opts) → async iterable of text deltas }
+// generate/stream throw { status } on HTTP errors so the caller can decide to retry or move on.
+function httpError(status, message) {
+  const err = new Error(`${status} ${message}`);
+  err.status = status;
+  return err;
+}
+
+async function failed(r) {
+  const d = await r.json().catch(() => ({}));
+  return httpError(d?.error?.code || r.status, d?.error?.message || r.statusText || "request failed");
+}
+
+// "data:" payloads of a text/event-stream response body
+async function* sseData(body) {
+  const decoder = new TextDecoder();
+  let buf = "";
+  for await (const chunk of body) {
+    buf += decoder.decode(chunk, { stream: true }).replace(/\r/g, "");
+    let i;
+    while ((i = buf.indexOf("\n\n")) >= 0) {
+      const block = buf.slice(0, i);
+      buf = buf.slice(i + 2);
+      for (const line of block.split("\n")) if (line.startsWith("data:")) yield line.slice(5).trim();
+    }
+  }
+}
+
+const gemini = {
+  name: "gemini",
+  ready: () => !!process.env.GEMINI_KEY && env("GEMINI_MODE", "flash").toLowerCase() !== "off",
+  defaultModels: () =>
+    env("GEMINI_MODE", "flash").toLowerCase() === "flash"
+      ? ["gemini-2.0-flash", "gemini-2.0-flash-lite", "gemini-1.5-flash"]
+      : ["gemini-2.5-flash", "gemini-2.0-flash", "gemini-2.0-flash-lite"],
+  async generate(prompt, { model, temperature, maxTokens, timeoutMs }) {
+    const r = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "x-goog-api-key": process.env.GEMINI_KEY },
+      body: JSON.stringify({
+        contents: [{ role: "user", parts: [{ text: prompt }] }],
+        generationConfig: { temperature, maxOutputTokens: maxTokens },
+      }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    const d = await r.json().catch(() => ({}));
+    const txt = d?.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (r.ok && txt) return txt;
+    throw httpError(d?.error?.code || r.status, d?.error?.message || r.statusText || "empty response");
+  },
+  async *stream(prompt, { model, temperature, maxTokens, timeoutMs }) {
+    const r = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "x-goog-api-key": process.env.GEMINI_KEY },
+      body: JSON.stringify({
+        contents: [{ role: "user", parts: [{ text: prompt }] }],
+        generationConfig: { temperature, maxOutputTokens: maxTokens },
+      }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!r.ok) throw await failed(r);
+    for await (const data of sseData(r.body)) {
+      const txt = JSON.parse(data)?.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (txt) yield txt;
+    }
+  },
+};
+
+// any /v1/chat/completions server: OpenAI, vLLM, llama.cpp, Ollama, LM Studio…
+const openai = {
+  name: "openai",
+  ready: () => !!(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL),
+  defaultModels: () => [env("OPENAI_MODEL", "gpt-4o-mini")],
+  async generate(prompt, { model, temperature, maxTokens, timeoutMs }) {
+    const base = env("OPENAI_BASE_URL", "https://api.openai.com/v1").replace(/\/$/, "");
+    const headers = { "Content-Type": "application/json" };
+    if (process.env.OPENAI_API_KEY) headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+    const r = await fetch(`${base}/chat/completions`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ model, temperature, max_tokens: maxTokens, messages: [{ role: "user", content: prompt }] }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    const d = await r.json().catch(() => ({}));
+    const txt = d?.choices?.[0]?.message?.content;
+    if (r.ok && txt) return txt;
+    throw httpError(r.status, d?.error?.message || r.statusText || "empty response");
+  },
+  async *stream(prompt, { model, temperature, maxTokens, timeoutMs }) {
+    const base = env("OPENAI_BASE_URL", "https://api.openai.com/v1").replace(/\/$/, "");
+    const headers = { "Content-Type": "application/json" };
+    if (process.env.OPENAI_API_KEY) headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+    const r = await fetch(`${base}/chat/completions`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        model, temperature, max_tokens: maxTokens, stream: true, messages: [{ role: "user", content: prompt }],
+      }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!r.ok) throw await failed(r);
+    for await (const data of sseData(r.body)) {
+      if (data === "[DONE]") return;
+      const txt = JSON.parse(data)?.choices?.[0]?.delta?.content;
+      if (txt) yield txt;
+    }
+  },
+};
+
+// Deterministic, offline: LLM_MOCK_RESPONSE when set; JSON prompts get an empty JSON object;
+// grounded prompts get one bullet per SOP fact ("[S1] Title (AE/misc): text" → "- text [S1]").
+const mock = {
+  name: "mock",
+  ready: () => true,
+  defaultModels: () => ["mock"],
+  async generate(prompt) {
+    if (process.env.LLM_MOCK_RESPONSE) return process.env.LLM_MOCK_RESPONSE;
+    if (/Return JSON only/i.test(prompt)) return "{}";
+    const facts = [...prompt.matchAll(/^\[(S\d+)\][^:\n]*:\s*(.+)$/gm)].slice(0, 3);
+    if (!facts.length) return "I don't have this in the SOP.";
+    return facts.map(([, cite, text]) => `- ${text.split(/(?<=\.)\s/)[0].trim()} [${cite}]`).join("\n");
+  },
+  async *stream(prompt, opts) {
+    for (const piece of (await this.generate(prompt, opts)).split(/(?<=\s)/)) yield piece;
+  },
+};
+
+const PROVIDERS = { gemini, openai, mock };
+
+function provider() {
+  const name = env("LLM_PROVIDER", "gemini").toLowerCase();
+  return PROVIDERS[name] || null; // "off" or unknown → no AI
+}
+
+function models(p) {
+  const list = String(env("LLM_MODELS", "")).split(",").map((s) => s.trim()).filter(Boolean);
+  return list.length ? list : p.defaultModels();
+}
+
+export function llmEnabled() {
+  const p = provider();
+  return !!p && p.ready();
+}
+
+export function llmInfo() {
+  const p = provider();
+  return {
+    provider: p?.name || "off",
+    enabled: llmEnabled(),
+    models: p ? models(p) : [],
+    temperature: Number(env("LLM_TEMPERATURE", 0.25)),
+    maxTokens: Number(env("LLM_MAX_TOKENS", 320)),
+  };
+}
+
+/* ---------- Cache ---------- */
+const _cache = new Map();
+// whole prompt: history and sources sit before the question, so any prefix can collide across sessions
+const cacheKeyOf = (p, temperature, maxTokens, prompt) =>
+  `${p.name}:${temperature}:${maxTokens}:${crypto.createHash("sha256").update(prompt).digest("hex")}`;
+function cacheGet(key) {
+  const ttl = Number(env("LLM_CACHE_TTL_MS", env("GEMINI_CACHE_TTL_MS", 600000)));
+  const v = _cache.get(key);
+  if (!v) return null;
+  if (Date.now() - v.at > ttl) {
+    _cache.delete(key);
+    return null;
+  }
+  return v.text;
+}
+function cacheSet(key, text) {
+  _cache.set(key, { at: Date.now(), text });
+  if (_cache.size > 500) _cache.delete(_cache.keys().next().value);
+}
+
+/* ---------- Generate ---------- */
+// Walk the model chain with backoff on 429/5xx/network errors; null when every model failed
+// (callers fall back to RAG). opts override temperature / maxTokens per call.
+export async function generate(prompt, opts = {}) {
+  const p = provider();
+  if (!p || !p.ready()) {
+    console.log(`[llm] SKIP: provider ${p?.name || "off"} not configured`);
+    return null;
+  }
+
+  const { temperature, maxTokens } = { ...llmInfo(), ...opts };
+  const retries = Math.max(1, Number(env("LLM_RETRIES", 3)));
+  const timeoutMs = Number(env("LLM_TIMEOUT_MS", 20000));
+
+  const cacheKey = cacheKeyOf(p, temperature, maxTokens, prompt);
+  const cached = cacheGet(cacheKey);
+  if (cached) return cached;
+
+  for (const model of models(p)) {
+    let delay = 500;
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      try {
+        const text = await p.generate(prompt, { model, temperature, maxTokens, timeoutMs });
+        console.log(`[llm] ✅ ${p.name}/${model} (attempt ${attempt})`);
+        cacheSet(cacheKey, text);
+        return text;
+      } catch (e) {
+        console.log(`[llm] ❌ ${p.name}/${model} (attempt ${attempt}) -> ${e.message}`);
+        const retryable = !e.status || e.status === 429 || String(e.status).startsWith("5");
+        if (!retryable) break;
+        if (attempt < retries) {
+          await sleep(delay);
+          delay = Math.min(delay * 2, 4000);
+        }
+      }
+    }
+  }
+  console.log("[llm] All models failed; using RAG only.");
+  return null;
+}
+
+// Same chain/backoff as generate(), yielding text deltas. A model is only abandoned before its
+// first delta; once text has been sent a failure ends the stream with what was produced.
+export async function* generateStream(prompt, opts = {}) {
+  const p = provider();
+  if (!p || !p.ready()) {
+    console.log(`[llm] SKIP: provider ${p?.name || "off"} not configured`);
+    return;
+  }
+
+  const { temperature, maxTokens } = { ...llmInfo(), ...opts };
+  const retries = Math.max(1, Number(env("LLM_RETRIES", 3)));
+  const timeoutMs = Number(env("LLM_TIMEOUT_MS", 20000));
+
+  const cacheKey = cacheKeyOf(p, temperature, maxTokens, prompt);
+  const cached = cacheGet(cacheKey);
+  if (cached) {
+    yield cached;
+    return;
+  }
+
+  for (const model of models(p)) {
+    let delay = 500;
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      let text = "";
+      try {
+        for await (const delta of p.stream(prompt, { model, temperature, maxTokens, timeoutMs })) {
+          text += delta;
+          yield delta;
+        }
+        if (!text) throw httpError(502, "empty response");
+        console.log(`[llm] ✅ ${p.name}/${model} stream (attempt ${attempt})`);
+        cacheSet(cacheKey, text);
+        return;
+      } catch (e) {
+        console.log(`[llm] ❌ ${p.name}/${model} stream (attempt ${attempt}) -> ${e.message}`);
+        if (text) return;
+        const retryable = !e.status || e.status === 429 || String(e.status).startsWith("5");
+        if (!retryable) break;
+        if (attempt < retries) {
+          await sleep(delay);
+          delay = Math.min(delay * 2, 4000);
+        }
+      }
+    }
+  }
+  console.log("[llm] All models failed; using RAG only.");
+}
@@ -0,0 +1,44 @@
+// manage_keys.mjs
+// Create, list and revoke API keys (stored hashed in API_KEYS_FILE, default ./data/api_keys.json).
+// Usage: node manage_keys.mjs add <name> <agent|lead|admin>
+//        node manage_keys.mjs list
+//        node manage_keys.mjs revoke <name>
+
+import { loadKeys, saveKeys, createKey } from "./auth.js";
+import { KEYS_FILE } from "./config.js";
+
+const [cmd, name, role] = process.argv.slice(2);
+
+function main() {
+  const keys = [...loadKeys()];
+
+  if (cmd === "add") {
+    if (!name || !role) throw new Error("usage: add <name> <agent|lead|admin>");
+    if (keys.some((k) => k.name === name && !k.revoked)) throw new Error(`key "${name}" already exists`);
+    const { key, entry } = createKey(name, role);
+    saveKeys([...keys, entry]);
+    console.log(`✅ ${role} key "${name}" → ${KEYS_FILE}`);
+    console.log(`\n${key}\n\nShown once: only its hash is stored.`);
+    return;
+  }
+
+  if (cmd === "list") {
+    if (!keys.length) return console.log(`No keys in ${KEYS_FILE}.`);
+    for (const k of keys) console.log(`• ${k.name.padEnd(20)} ${k.role.padEnd(6)} ${k.createdAt}${k.revoked ? "  (revoked)" : ""}`);
+    return;
+  }
+
+  if (cmd === "revoke") {
+    const hit = keys.find((k) => k.name === name && !k.revoked);
+    if (!hit) throw new Error(`no active key "${name}"`);
+    hit.revoked = new Date().toISOString();
+    saveKeys(keys);
+    console.log(`🗝  revoked "${name}"`);
+    return;
+  }
+
+  throw new Error("usage: node manage_keys.mjs add <name> <role> | list | revoke <name>");
+}
+
+try { main(); }
+catch (err) { console.error(`✖ ${err.message}`); process.exit(1); }
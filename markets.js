@@ -0,0 +1,32 @@
+// markets.js — the markets QC Buddy serves (AE / SA / JO): one alias table for QC, retrieval and sessions
+export const MARKETS = {
+  AE: { label: "UAE", aliases: ["ae", "uae", "are", "united arab emirates", "emirates", "dubai", "abu dhabi", "sharjah", "ajman", "aed"] },
+  SA: { label: "KSA", aliases: ["sa", "ksa", "sau", "saudi", "saudi arabia", "riyadh", "jeddah", "sar"] },
+  JO: { label: "JOR", aliases: ["jo", "jor", "jordan", "amman", "irbid", "zarqa", "jod"] },
+};
+
+// a form field / cell / JSON key naming one market ("uae", "KSA", "Amman") → its code, else null
+export function normalizeMarket(value) {
+  const v = String(value || "").trim().toLowerCase().replace(/\s+/g, " ");
+  if (!v) return null;
+  for (const [m, { aliases }] of Object.entries(MARKETS)) if (aliases.includes(v)) return m;
+  return null;
+}
+
+export const MARKET_LABELS = Object.fromEntries(Object.entries(MARKETS).map(([m, { label }]) => [m, label]));
+
+/* ---------- Free text ---------- */
+// two-letter codes and "are" are ordinary words in running text; they only count as whole values
+const NOT_IN_TEXT = new Set(["ae", "are", "sa", "sau", "jo"]);
+const textAlternation = (aliases) =>
+  aliases.filter((a) => !NOT_IN_TEXT.has(a)).sort((a, b) => b.length - a.length).map((a) => a.replace(/ /g, "\\s*")).join("|");
+const TEXT_PATTERNS = Object.entries(MARKETS).map(([m, { aliases }]) => [m, new RegExp(`\\b(${textAlternation(aliases)})\\b`, "i")]);
+
+// regex source matching any market mention in text (for callers that strip or replace them)
+export const MARKET_WORDS_SOURCE = textAlternation(Object.values(MARKETS).flatMap((x) => x.aliases));
+
+// the market a piece of text is about: one code, "ALL" when it names several, null when none
+export function marketOf(text) {
+  const hits = TEXT_PATTERNS.filter(([, rx]) => rx.test(String(text || ""))).map(([m]) => m);
+  return hits.length > 1 ? "ALL" : hits[0] || null;
+}
@@ -0,0 +1,148 @@
+// menuChecks.js — cross-row menu checks (duplicates, branch drift, category shape, orphan options, copy-paste)
+// entries: [{ ref: { sheet?, rowNumber }, kind: "items" | "categories" | "option_groups" | "options", market, row }]
+// where row uses canonical column names (menuQc.mapColumns). Issues: { field, type, message, rows: [ref] }.
+
+const norm = (v) => String(v ?? "").trim().toLowerCase().replace(/\s+/g, " ");
+const price = (v) => {
+  const n = Number(String(v ?? "").replace(/[^\d.]/g, ""));
+  return String(v ?? "").trim() && Number.isFinite(n) ? n : null;
+};
+// shorter descriptions ("Served hot", "Per piece") are legitimately shared
+const MIN_SHARED_DESC = 25;
+
+const groupBy = (list, keyOf) => {
+  const out = new Map();
+  for (const x of list) {
+    const k = keyOf(x);
+    if (k === null) continue;
+    if (!out.has(k)) out.set(k, []);
+    out.get(k).push(x);
+  }
+  return out;
+};
+
+// item rows only; flat exports repeat the item once per option, which is still one item
+const itemRows = (entries) => entries.filter((e) => e.kind === "items" && norm(e.row.item_name));
+const itemKey = (e) => `${norm(e.row.category_name)}|${norm(e.row.item_name)}`;
+const optionKey = (e) => `${norm(e.row.option_group_name)}|${norm(e.row.option_name)}`;
+
+// Same item name twice in one category (and branch) — unless the rows are different options of it
+export function checkDuplicateItems(entries) {
+  const out = [];
+  for (const rows of groupBy(itemRows(entries), (e) => `${norm(e.row.branch)}|${itemKey(e)}|${optionKey(e)}`).values()) {
+    if (rows.length < 2) continue;
+    const { item_name: name, category_name: category } = rows[0].row;
+    out.push({
+      field: "item_name",
+      type: "duplicate",
+      message: `"${name}" appears ${rows.length} times${category ? ` in "${category}"` : ""}`,
+      rows: rows.map((e) => e.ref),
+    });
+  }
+  return out;
+}
+
+// The same item (item_id, else category + name) priced or described differently across branches
+// of one market and currency — an AE and an SA branch are not expected to match
+export function checkBranchConsistency(entries) {
+  const items = itemRows(entries).filter((e) => norm(e.row.branch));
+  const out = [];
+  const keyOf = (e) => `${e.market || "AUTO"}|${norm(e.row.currency)}|${norm(e.row.item_id) || itemKey(e)}`;
+  for (const rows of groupBy(items, keyOf).values()) {
+    const perBranch = [...groupBy(rows, (e) => norm(e.row.branch)).values()].map((rs) => rs[0]);
+    if (perBranch.length < 2) continue;
+    const name = perBranch[0].row.item_name;
+    const prices = new Set(perBranch.map((e) => price(e.row.price)).filter((p) => p !== null));
+    if (prices.size > 1) {
+      out.push({
+        field: "price",
+        type: "branch_price",
+        message: `"${name}" has ${prices.size} prices across branches: ${perBranch.map((e) => `${e.row.branch} ${e.row.price}`).join(", ")}`,
+        rows: perBranch.map((e) => e.ref),
+      });
+    }
+    const descs = new Set(perBranch.map((e) => norm(e.row.item_description)));
+    if (descs.size > 1) {
+      out.push({
+        field: "item_description",
+        type: "branch_description",
+        message: `"${name}" has ${descs.size} different descriptions across branches`,
+        rows: perBranch.map((e) => e.ref),
+      });
+    }
+  }
+  return out;
+}
+
+// Categories with one item (worth merging) and declared categories with none. A category is
+// declared by the categories sheet or by a row that names a category but no item.
+export function checkCategoryShape(entries) {
+  const out = [];
+  const items = itemRows(entries).filter((e) => norm(e.row.category_name));
+  const byCategory = groupBy(items, (e) => norm(e.row.category_name));
+  for (const rows of byCategory.values()) {
+    const names = groupBy(rows, (e) => norm(e.row.item_name));
+    if (names.size !== 1) continue;
+    out.push({
+      field: "category_name",
+      type: "single_item",
+      message: `Category "${rows[0].row.category_name}" has a single item ("${rows[0].row.item_name}")`,
+      rows: rows.map((e) => e.ref),
+    });
+  }
+
+  const declared = entries.filter((e) =>
+    norm(e.row.category_name) && (e.kind === "categories" || (e.kind === "items" && !norm(e.row.item_name)))
+  );
+  for (const [key, rows] of groupBy(declared, (e) => norm(e.row.category_name))) {
+    if (byCategory.has(key)) continue;
+    out.push({
+      field: "category_name",
+      type: "empty",
+      message: `Category "${rows[0].row.category_name}" has no items`,
+      rows: rows.map((e) => e.ref),
+    });
+  }
+  return out;
+}
+
+// Option rows (options / option groups sheets) whose item_id or item name matches no item
+export function checkOrphanOptions(entries) {
+  const items = itemRows(entries);
+  if (!items.length) return [];
+  const ids = new Set(items.map((e) => norm(e.row.item_id)).filter(Boolean));
+  const names = new Set(items.map((e) => norm(e.row.item_name)));
+  const options = entries.filter((e) => e.kind === "options" || e.kind === "option_groups");
+  // match on item_id when both sides carry one, else on the item name
+  const refOf = (e) => (ids.size && norm(e.row.item_id) ? { field: "item_id", key: norm(e.row.item_id) } : { field: "item_name", key: norm(e.row.item_name) });
+  const missing = options.filter((e) => {
+    const { field, key } = refOf(e);
+    return key && !(field === "item_id" ? ids : names).has(key);
+  });
+  return [...groupBy(missing, (e) => refOf(e).key).values()].map((rows) => {
+    const { field } = refOf(rows[0]);
+    return {
+      field,
+      type: "orphan_option",
+      message: `Options reference an item that is not on the menu: "${rows[0].row[field]}"`,
+      rows: rows.map((e) => e.ref),
+    };
+  });
+}
+
+// One description pasted onto different items
+export function checkSharedDescriptions(entries) {
+  const items = itemRows(entries).filter((e) => norm(e.row.item_description).length >= MIN_SHARED_DESC);
+  const out = [];
+  for (const rows of groupBy(items, (e) => norm(e.row.item_description)).values()) {
+    const names = [...groupBy(rows, (e) => norm(e.row.item_name)).values()].map((rs) => rs[0].row.item_name);
+    if (names.length < 2) continue;
+    out.push({
+      field: "item_description",
+      type: "copy_paste",
+      message: `Same description on ${names.length} items: ${names.slice(0, 5).map((n) => `"${n}"`).join(", ")}${names.length > 5 ? "…" : ""}`,
+      rows: rows.map((e) => e.ref),
+    });
+  }
+  return out;
+}
@@ -0,0 +1,188 @@
+// menuQc.js — map merchant export columns (per workbook sheet), resolve per-row market, run row + menu QC (/fix-file)
+import fs from "fs";
+import { qcCheckSingle, qcCheckMenu } from "./rules.js";
+import { normalizeMarket } from "./markets.js";
+import { checkImages, collectImageSources } from "./imageCheck.js";
+
+/* ---------- Header aliases ---------- */
+// canonical column → accepted headers (case/space-insensitive, first match wins)
+const DEFAULT_HEADER_ALIASES = {
+  item_name: ["item_name", "name", "Item Name", "Name"],
+  item_description: ["item_description", "description", "Item Description", "Description"],
+  item_localized_name: ["item_localized_name", "item_name_ar", "Item Name (AR)", "Arabic Name"],
+  item_localized_description: ["item_localized_description", "item_description_ar", "Item Description (AR)", "Arabic Description"],
+  category_name: ["category_name", "Category", "Category Name"],
+  category_localized_name: ["category_localized_name", "category_name_ar", "Category Name (AR)"],
+  sub_category_name: ["sub_category_name", "Sub Category", "Sub Category Name"],
+  sub_category_localized_name: ["sub_category_localized_name", "sub_category_name_ar", "Sub Category Name (AR)"],
+  option_group_name: ["option_group_name", "Option Group", "Customization Title", "Modifier Group"],
+  option_name: ["option_name", "Option", "Option Name", "Customization Option", "Modifier"],
+  option_group_localized_name: ["option_group_localized_name", "option_group_name_ar", "Customization Title (AR)"],
+  option_localized_name: ["option_localized_name", "option_name_ar", "Option Name (AR)"],
+  image_url: ["image_url", "image", "Image URL", "item_image", "photo_url"],
+  hero_image: ["hero_image", "hero_image_url", "Hero Image", "banner_url"],
+  tax: ["tax", "vat", "tax_rate", "vat_rate", "Tax %", "VAT %", "vat_percentage"],
+  item_id: ["item_id", "Item ID", "sku", "item_code", "Item Code"],
+  price: ["price", "Price", "item_price", "Item Price", "base_price"],
+  branch: ["branch", "Branch", "branch_name", "Branch Name", "outlet", "Outlet", "store"],
+  market: ["market"],
+  country: ["country", "country_code", "Country Name"],
+  currency: ["currency", "currency_code"],
+};
+
+// Extra aliases from a JSON file ({ "tax": ["Tax Value"] }); tried before the defaults
+function loadHeaderAliases() {
+  const out = Object.fromEntries(Object.entries(DEFAULT_HEADER_ALIASES).map(([k, v]) => [k, [...v]]));
+  const file = process.env.QC_HEADER_ALIASES;
+  if (!file) return out;
+  try {
+    const custom = JSON.parse(fs.readFileSync(file, "utf-8"));
+    for (const [k, v] of Object.entries(custom || {})) {
+      out[k] = [...(Array.isArray(v) ? v : [v]).map(String), ...(out[k] || [])];
+    }
+    console.log(`[menuQc] Loaded header aliases from ${file}`);
+  } catch (e) {
+    console.warn(`[menuQc] Ignoring QC_HEADER_ALIASES (${file}): ${e.message}`);
+  }
+  return out;
+}
+const HEADER_ALIASES = loadHeaderAliases();
+
+const headerKey = (h) => String(h || "").trim().toLowerCase().replace(/[\s_]+/g, " ");
+
+/* ---------- Sheets ---------- */
+// MIF workbooks split the menu into items / categories / options sheets, and the non-item sheets
+// reuse plain "Name" / "Arabic Name" headers for their own entity.
+const SHEET_KINDS = [
+  ["categories", /categor/i],
+  ["option_groups", /(option|modifier)\s*groups?|customi[sz]ation\s*titles?/i],
+  ["options", /option|modifier|customi[sz]/i],
+];
+const SHEET_ALIASES = {
+  categories: {
+    category_name: ["name", "Name", "Title"],
+    category_localized_name: ["name_ar", "Arabic Name", "Name (AR)"],
+  },
+  option_groups: {
+    option_group_name: ["name", "Name", "Title"],
+    option_group_localized_name: ["name_ar", "Arabic Name", "Name (AR)"],
+  },
+  options: {
+    option_group_name: ["group", "Group", "Group Name"],
+    option_name: ["name", "Name"],
+    option_localized_name: ["name_ar", "Arabic Name", "Name (AR)"],
+    option_group_localized_name: ["group_ar", "Group Name (AR)"],
+  },
+};
+
+// sheet name → "items" | "categories" | "option_groups" | "options" (CSV files are "items")
+export function sheetKind(name) {
+  return SHEET_KINDS.find(([, re]) => re.test(String(name || "")))?.[0] || "items";
+}
+
+// canonical column → this file's actual header (or null). On category/option sheets their
+// aliases are tried first, and a header they claim is not mapped again as an item column.
+export function mapColumns(headers, kind = "items") {
+  const byKey = new Map(headers.map((h) => [headerKey(h), h]));
+  const claimed = new Set();
+  const cols = {};
+  for (const [canon, aliases] of Object.entries(SHEET_ALIASES[kind] || {})) {
+    const hit = aliases.map(headerKey).find((k) => byKey.has(k));
+    if (hit) {
+      cols[canon] = byKey.get(hit);
+      claimed.add(hit);
+    }
+  }
+  for (const [canon, aliases] of Object.entries(HEADER_ALIASES)) {
+    if (cols[canon]) continue;
+    const hit = aliases.map(headerKey).find((k) => byKey.has(k) && !claimed.has(k));
+    cols[canon] = hit ? byKey.get(hit) : null;
+  }
+  return cols;
+}
+
+// true when the sheet has at least one column QC checks (market/country/currency alone don't count)
+export function hasQcColumns(cols) {
+  return Object.entries(cols).some(([canon, h]) => h && !["market", "country", "currency"].includes(canon));
+}
+
+/* ---------- Market ---------- */
+// Form market wins; on AUTO infer from the row's market, country, then currency column
+export function resolveRowMarket(row, cols, market = "AUTO") {
+  const forced = normalizeMarket(market);
+  if (forced) return forced;
+  for (const c of [cols.market, cols.country, cols.currency]) {
+    const m = c ? normalizeMarket(row[c]) : null;
+    if (m) return m;
+  }
+  return "AUTO";
+}
+
+/* ---------- Row QC ---------- */
+// Run QC on every parsed row; `columns` maps issue fields → this file's headers.
+// Image columns are probed up front (bounded concurrency, per-image timeout) when images=true.
+export async function qcRows(headers, rows, { market = "AUTO", kind = "items", glossary = null, englishDict = null, images = false } = {}) {
+  const cols = mapColumns(headers, kind);
+  // canonical fields map straight through; glossary issues use their own field names
+  const columns = {
+    ...cols,
+    translation: cols.item_localized_name,
+    category: cols.category_localized_name,
+    sub_category: cols.sub_category_localized_name,
+    item_name_pair: cols.item_localized_name,
+  };
+  const get = (row, canon) => (cols[canon] ? row[cols[canon]] ?? "" : undefined);
+  const present = Object.keys(cols).filter((k) => cols[k]);
+  // canonical view so validators see the same keys whatever the export called them;
+  // columns the file lacks are left out (missing column ≠ empty cell)
+  const canonRows = rows.map((row) => Object.fromEntries(present.map((k) => [k, get(row, k)])));
+
+  let imageResults = null;
+  if (images && (cols.image_url || cols.hero_image)) {
+    const checked = await checkImages(collectImageSources(canonRows));
+    imageResults = new Map(checked.map((r) => [`${r.kind}|${r.url}`, r]));
+  }
+
+  const results = rows.map((row, i) => {
+    const rowMarket = resolveRowMarket(row, cols, market);
+    const canon = canonRows[i];
+    const rowIssues = qcCheckSingle({
+      name: canon.item_name || "",
+      desc: canon.item_description || "",
+      arName: canon.item_localized_name || "",
+      tax: get(row, "tax"),
+      market: rowMarket,
+      row: canon,
+      englishDict,
+      glossary,
+      images: imageResults,
+    });
+    return { row, market: rowMarket, rowIssues };
+  });
+  return { columns, results };
+}
+
+/* ---------- Menu QC ---------- */
+// Cross-row pass over every sheet at once (duplicates, branch drift, orphan options…).
+// sheets: [{ name (null for CSV), kind, headers, rows, rowNumbers }]. Menu rules follow the
+// form market, else the most common row market. → { market, issues: [{ …, rows: [{ sheet?, rowNumber }] }] }
+export function qcMenu(sheets, { market = "AUTO" } = {}) {
+  const entries = [];
+  const markets = new Map();
+  for (const { name, kind = "items", headers, rows, rowNumbers } of sheets) {
+    const cols = mapColumns(headers, kind);
+    const present = Object.keys(cols).filter((k) => cols[k]);
+    rows.forEach((row, i) => {
+      const m = resolveRowMarket(row, cols, market);
+      markets.set(m, (markets.get(m) || 0) + 1);
+      entries.push({
+        ref: { ...(name !== null && { sheet: name }), rowNumber: rowNumbers[i] },
+        kind,
+        market: m,
+        row: Object.fromEntries(present.map((k) => [k, row[cols[k]] ?? ""])),
+      });
+    });
+  }
+  const menuMarket = [...markets.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || "AUTO";
+  return { market: menuMarket, issues: qcCheckMenu({ market: menuMarket, entries }) };
+}
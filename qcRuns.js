@@ -0,0 +1,166 @@
+// qcRuns.js — persisted /fix-file runs (one JSON file each + a JSONL summary index under DATA_DIR), lead reports
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { DATA_DIR } from "./config.js";
+
+const RUNS_DIR = path.join(DATA_DIR, "qc_runs");
+const INDEX_LOG = path.join(DATA_DIR, "qc_runs.jsonl");
+const VALID_ID = /^\d{8}T\d{6}Z-[0-9a-f]{6}$/;
+
+/* ---------- Summaries ---------- */
+const bump = (obj, key, n = 1) => { obj[key] = (obj[key] || 0) + n; };
+
+// results: qcRows() results, menu: qcMenu() output → counts overall and per resolved row market;
+// menu issues count once each, under the menu's market
+function summarize(results, menu) {
+  const s = { totalRows: results.length, rowsWithIssues: 0, byRule: {}, byField: {}, bySeverity: {}, byMarket: {} };
+  for (const { market, rowIssues = [] } of results) {
+    const m = (s.byMarket[market] ||= { rows: 0, rowsWithIssues: 0, byRule: {}, byField: {} });
+    m.rows++;
+    if (!rowIssues.length) continue;
+    s.rowsWithIssues++;
+    m.rowsWithIssues++;
+    for (const i of rowIssues) {
+      bump(s.byRule, i.rule);
+      bump(m.byRule, i.rule);
+      bump(s.byField, i.field || "row");
+      bump(m.byField, i.field || "row");
+      bump(s.bySeverity, i.severity || "warning");
+    }
+  }
+  if (menu?.issues.length) {
+    const m = (s.byMarket[menu.market] ||= { rows: 0, rowsWithIssues: 0, byRule: {}, byField: {} });
+    s.menuIssues = menu.issues.length;
+    for (const i of menu.issues) {
+      bump(s.byRule, i.rule);
+      bump(m.byRule, i.rule);
+      bump(s.byField, i.field || "row");
+      bump(m.byField, i.field || "row");
+      bump(s.bySeverity, i.severity || "warning");
+    }
+  }
+  return s;
+}
+
+/* ---------- Store ---------- */
+// run: { id, at, uploader: { id, name }, market, merchant, filename, output, sheets?, ...summary }; the run file adds
+// issues and menuIssues
+export function recordRun({ uploader, market, merchant, filename, output = "json" }, results, menu = null) {
+  const at = new Date().toISOString();
+  const id = `${at.replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z")}-${crypto.randomBytes(3).toString("hex")}`;
+  const base = String(filename || "menu.csv").replace(/\.[^.]+$/, "");
+  // rowNumber: the spreadsheet row (header = 1); sheet only for workbooks
+  const issues = results
+    .filter((r) => r.rowIssues?.length)
+    .map(({ sheet, rowNumber, market: m, rowIssues }) => ({ ...(sheet !== undefined && { sheet }), rowNumber, market: m, rowIssues }));
+  const sheets = [...new Set(results.map((r) => r.sheet).filter((n) => n !== undefined))];
+  const run = {
+    id,
+    at,
+    uploader: { id: uploader?.id ?? null, name: uploader?.name || "anonymous" },
+    market,
+    merchant: String(merchant || "").trim().slice(0, 120) || base,
+    filename: filename || null,
+    output,
+    ...(sheets.length && { sheets }),
+    ...summarize(results, menu),
+  };
+  try {
+    fs.mkdirSync(RUNS_DIR, { recursive: true });
+    const file = path.join(RUNS_DIR, `${id}.json`);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify({ ...run, issues, menuIssues: menu?.issues || [] }), "utf-8");
+    fs.renameSync(`${file}.tmp`, file);
+    fs.appendFileSync(INDEX_LOG, `${JSON.stringify(run)}\n`, "utf-8");
+  } catch (e) {
+    console.warn(`[qcRuns] Could not save run ${id}: ${e.message}`);
+    return null;
+  }
+  return run;
+}
+
+function readIndex() {
+  let raw = "";
+  try { raw = fs.readFileSync(INDEX_LOG, "utf-8"); }
+  catch { return []; }
+  const out = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try { out.push(JSON.parse(line)); } catch {}
+  }
+  return out;
+}
+
+// filters: { uploader (auth id; undefined = everyone), market, merchant (substring), days } → newest first
+export function listRuns({ uploader, market, merchant, days, limit = 50 } = {}) {
+  const since = days ? Date.now() - days * 24 * 60 * 60_000 : 0;
+  const m = String(merchant || "").toLowerCase();
+  return readIndex()
+    .filter((r) => uploader === undefined || r.uploader?.id === uploader)
+    .filter((r) => !market || r.market === market || r.byMarket?.[market])
+    .filter((r) => !m || String(r.merchant).toLowerCase().includes(m))
+    .filter((r) => !since || Date.parse(r.at) >= since)
+    .sort((a, b) => b.at.localeCompare(a.at))
+    .slice(0, limit);
+}
+
+export function getRun(id) {
+  if (!VALID_ID.test(String(id))) return null;
+  try { return JSON.parse(fs.readFileSync(path.join(RUNS_DIR, `${id}.json`), "utf-8")); }
+  catch { return null; }
+}
+
+/* ---------- Report ---------- */
+// ISO week of a timestamp: "2026-W42"
+function isoWeek(at) {
+  const d = new Date(at);
+  const day = d.getUTCDay() || 7;
+  const thursday = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 4 - day));
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((thursday - yearStart) / 86_400_000 + 1) / 7);
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+}
+
+const top = (counts, limit) =>
+  Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, limit).map(([key, count]) => ({ key, count }));
+
+// Issue counts per (week | merchant) × row market over the last `days`; groups newest/biggest first.
+export function qcReport({ groupBy = "week", market, days = 90, limit = 5 } = {}) {
+  const since = Date.now() - days * 24 * 60 * 60_000;
+  const groups = new Map();
+  const runs = new Set();
+  for (const r of readIndex()) {
+    if (Date.parse(r.at) < since) continue;
+    const key = groupBy === "merchant" ? r.merchant : isoWeek(r.at);
+    for (const [m, s] of Object.entries(r.byMarket || {})) {
+      if (market && m !== market) continue;
+      const id = `${key}|${m}`;
+      if (!groups.has(id)) groups.set(id, { [groupBy]: key, market: m, runs: new Set(), rows: 0, rowsWithIssues: 0, byRule: {}, byField: {} });
+      const g = groups.get(id);
+      g.runs.add(r.id);
+      runs.add(r.id);
+      g.rows += s.rows;
+      g.rowsWithIssues += s.rowsWithIssues;
+      for (const [k, n] of Object.entries(s.byRule)) bump(g.byRule, k, n);
+      for (const [k, n] of Object.entries(s.byField)) bump(g.byField, k, n);
+    }
+  }
+
+  const out = [...groups.values()].map((g) => ({
+    [groupBy]: g[groupBy],
+    market: g.market,
+    runs: g.runs.size,
+    rows: g.rows,
+    rowsWithIssues: g.rowsWithIssues,
+    issueRate: g.rows ? Math.round((g.rowsWithIssues / g.rows) * 100) / 100 : 0,
+    issues: Object.values(g.byRule).reduce((a, b) => a + b, 0),
+    topRules: top(g.byRule, limit).map(({ key, count }) => ({ rule: key, count })),
+    topFields: top(g.byField, limit).map(({ key, count }) => ({ field: key, count })),
+  }));
+  out.sort((a, b) =>
+    groupBy === "week"
+      ? b.week.localeCompare(a.week) || a.market.localeCompare(b.market)
+      : b.issues - a.issues || a.merchant.localeCompare(b.merchant)
+  );
+  return { since: new Date(since).toISOString(), groupBy, market: market || null, runs: runs.size, groups: out };
+}
@@ -0,0 +1,115 @@
+// quota.js — per-caller token buckets for AI calls (plus one provider-wide bucket), optional wait queue
+const PER_MIN = Number(process.env.AI_QUOTA_PER_MIN || 10);
+const BURST = Number(process.env.AI_QUOTA_BURST || PER_MIN);
+// whole-backend cap toward the provider (the old global throttle)
+const GLOBAL_PER_MIN = Number(process.env.LLM_MAX_CALLS_PER_MIN || process.env.GEMINI_MAX_CALLS_PER_MIN || 30);
+// 0 = no queue: an empty bucket answers from RAG right away
+const QUEUE_TIMEOUT_MS = Number(process.env.AI_QUEUE_TIMEOUT_MS || 0);
+const QUEUE_MAX = Number(process.env.AI_QUEUE_MAX || 20);
+const IDLE_MS = 10 * 60_000;
+
+export const QUOTA_CONFIG = { perMin: PER_MIN, burst: BURST, globalPerMin: GLOBAL_PER_MIN, queueTimeoutMs: QUEUE_TIMEOUT_MS };
+
+/* ---------- Token bucket ---------- */
+function createBucket(perMin, burst) {
+  return { perMin, burst, tokens: burst, last: Date.now(), waiters: [], timer: null };
+}
+
+function refill(b) {
+  const now = Date.now();
+  b.tokens = Math.min(b.burst, b.tokens + ((now - b.last) / 60_000) * b.perMin);
+  b.last = now;
+}
+
+// ms until one token is available
+function waitMs(b) {
+  refill(b);
+  return b.tokens >= 1 ? 0 : Math.ceil(((1 - b.tokens) / b.perMin) * 60_000);
+}
+
+// serve queued callers in order as tokens come back
+function drain(b) {
+  b.timer = null;
+  refill(b);
+  while (b.waiters.length && b.tokens >= 1) {
+    const w = b.waiters.shift();
+    clearTimeout(w.timer);
+    b.tokens -= 1;
+    w.resolve(true);
+  }
+  if (b.waiters.length) b.timer = setTimeout(() => drain(b), waitMs(b));
+}
+
+function take(b, timeoutMs) {
+  refill(b);
+  if (b.tokens >= 1 && !b.waiters.length) {
+    b.tokens -= 1;
+    return Promise.resolve(true);
+  }
+  if (!timeoutMs || b.waiters.length >= QUEUE_MAX) return Promise.resolve(false);
+  return new Promise((resolve) => {
+    const w = { resolve };
+    w.timer = setTimeout(() => {
+      b.waiters.splice(b.waiters.indexOf(w), 1);
+      if (!b.waiters.length) { // nobody left to drain for
+        clearTimeout(b.timer);
+        b.timer = null;
+      }
+      resolve(false);
+    }, timeoutMs);
+    b.waiters.push(w);
+    if (!b.timer) b.timer = setTimeout(() => drain(b), waitMs(b));
+  });
+}
+
+const _global = createBucket(GLOBAL_PER_MIN, GLOBAL_PER_MIN);
+const _buckets = new Map(); // caller → bucket
+
+// full, idle buckets carry no information
+setInterval(() => {
+  const now = Date.now();
+  for (const [caller, b] of _buckets) {
+    const idle = now - b.last; // refill() moves b.last
+    refill(b);
+    if (!b.waiters.length && b.tokens >= b.burst && idle > IDLE_MS) _buckets.delete(caller);
+  }
+}, IDLE_MS).unref();
+
+/* ---------- Callers ---------- */
+// authenticated identity (auth.js), else the client IP (behind a proxy only with TRUST_PROXY set, see
+// server.js; otherwise every anonymous caller shares the proxy's bucket). Client-supplied headers (x-api-key,
+// x-user-id) are never an identity on their own: in open mode anyone could rotate them for a fresh bucket.
+export function callerId(req) {
+  return req.auth?.id || `ip:${req.ip}`;
+}
+
+function bucketFor(caller) {
+  if (!_buckets.has(caller)) _buckets.set(caller, createBucket(PER_MIN, BURST));
+  return _buckets.get(caller);
+}
+
+// Per-request handle: acquire() takes one AI call from the caller's bucket and the global one
+// (waiting up to AI_QUEUE_TIMEOUT_MS), status() is what responses report.
+export function aiQuota(req) {
+  const caller = callerId(req);
+  const bucket = bucketFor(caller);
+  return {
+    caller,
+    async acquire() {
+      const deadline = Date.now() + QUEUE_TIMEOUT_MS;
+      if (!(await take(bucket, QUEUE_TIMEOUT_MS))) return false;
+      if (await take(_global, Math.max(0, deadline - Date.now()))) return true;
+      bucket.tokens = Math.min(bucket.burst, bucket.tokens + 1); // not spent after all
+      return false;
+    },
+    status() {
+      refill(bucket);
+      return {
+        remaining: Math.floor(bucket.tokens),
+        limit: bucket.burst,
+        perMin: bucket.perMin,
+        retryAfterMs: waitMs(bucket),
+      };
+    },
+  };
+}
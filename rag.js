@@ -1,6 +1,7 @@
 import "dotenv/config";
 import { getKnowledge } from "./knowledgeLoader.js";
-import levenshtein from "fast-levenshtein";
+import { search, tokenize, expandQuery } from "./searchIndex.js";
+import { normalizeMarket, marketOf, MARKET_LABELS } from "./markets.js";
 
 /* ---------- Topic detection ---------- */
 function detectTopic(q = "") {
@@ -13,58 +14,130 @@ function detectTopic(q = "") {
   return "misc";
 }
 
-/* ---------- Ranking ---------- */
-function keywordScore(q, t) {
-  const qWords = q.toLowerCase().match(/[a-z0-9]+/g) || [];
-  const tWords = new Set((t.toLowerCase().match(/[a-z0-9]+/g) || []));
-  let hit = 0;
-  for (const w of qWords) if (tWords.has(w)) hit++;
-  return hit;
+/* ---------- Market ---------- */
+// form market wins; on AUTO a question naming one market ("delivery charge in KSA") picks it
+function questionMarket(question, marketPref) {
+  const m = normalizeMarket(marketPref) || marketOf(question);
+  return m && m !== "ALL" ? m : null;
 }
-function scoreChunks(question, chunks, marketPref = "AUTO") {
-  const q = (question || "").toLowerCase();
-  const topic = detectTopic(q);
-  return (chunks || [])
-    .map((c) => {
-      const t = c.text || "";
-      const lev = levenshtein.get(q.slice(0, 160), t.slice(0, 160));
-      let score = Math.max(0, 80 - lev);
-      score += keywordScore(q, t) * 6;
-      if ((c.topic || "misc") === topic) score += 25;
-      if (/[.!?]$/.test(t)) score += 8;
-      if (/must|should|required|don’t|do not|avoid|use|set|add|dimensions?|CR|TL|VAT|tax|tags|1200|1125|780/i.test(t)) score += 10;
-      return { c, score };
+
+/* ---------- Ranking ---------- */
+// BM25 top-k from the prebuilt index (searchIndex.js), nudged toward the detected topic.
+// With a market, other markets' chunks are dropped and that market's chunks boosted.
+const RANK_TOP_K = 40;
+const MARKET_BOOST = 1.3;
+export function scoreChunks(question, marketPref = "AUTO") {
+  const topic = detectTopic(question || "");
+  const market = questionMarket(question, marketPref);
+  return search(question || "", { k: RANK_TOP_K })
+    .filter(({ c }) => !market || !c.market || c.market === "ALL" || c.market === market)
+    .map(({ c, score }) => {
+      let s = (c.topic || "misc") === topic ? score * 1.2 : score;
+      if (market && c.market === market) s *= MARKET_BOOST;
+      return { c, score: s };
     })
     .sort((a, b) => b.score - a.score);
 }
 
+// AUTO: when the best hit is market-specific, the best line per market (within reach of the top score)
+const VARIANT_MIN_RATIO = 0.6;
+function marketVariants(ranked) {
+  const top = ranked[0];
+  if (!top || !MARKET_LABELS[top.c.market]) return null;
+  const best = new Map();
+  for (const r of ranked) {
+    if (r.score < top.score * VARIANT_MIN_RATIO) break;
+    if (MARKET_LABELS[r.c.market] && !best.has(r.c.market)) best.set(r.c.market, r);
+  }
+  if (best.size < 2) return null;
+  return Object.keys(MARKET_LABELS).filter((m) => best.has(m)).map((m) => best.get(m));
+}
+
+const toSource = (r) => ({
+  id: r.c.id, title: r.c.title, section: r.c.section || [], market: r.c.market, topic: r.c.topic, text: r.c.text,
+});
+// sources are cited by their position in the answer: S1, S2, …
+const withCites = (sources) => sources.map((s, i) => ({ cite: `S${i + 1}`, ...s }));
+
+// a heading's bullets (or one short bullet) read as one line: "Bank details > KSA: a; b; c"
+function answerLine(c) {
+  const lines = String(c.text || "").split("\n").filter(Boolean);
+  const head = c.section?.length ? c.title : "";
+  if (!head || (lines.length < 2 && (lines[0] || "").length >= 60)) return lines.join(" ");
+  return `${head}: ${lines.map((l) => l.replace(/[.;]$/, "")).join("; ")}`;
+}
+
+/* ---------- Confidence ---------- */
+// 0..1: share of the question's terms (or their synonyms) the top chunk covers, damped by its score.
+// Below MIN_CONFIDENCE the question is treated as not covered by the SOP (tuned with eval/scope.mjs,
+// checked on the held-out eval/scope_holdout.json by test/scope.test.js).
+const CONFIDENCE_SCALE = 8;
+export const MIN_CONFIDENCE = Number(process.env.RAG_MIN_CONFIDENCE || 0.38);
+export function answerConfidence(question, ranked) {
+  const top = ranked[0];
+  if (!top) return 0;
+  const have = new Set(tokenize(`${top.c.title || ""}\n${top.c.text || ""}`));
+  const terms = [...new Set(tokenize(question))];
+  if (!terms.length) return 0;
+  const covered = terms.filter((t) => [...expandQuery(t).keys()].some((x) => have.has(x))).length / terms.length;
+  return Math.round(covered * (1 - Math.exp(-top.score / CONFIDENCE_SCALE)) * 100) / 100;
+}
+
+// "not in SOP" suggestions: sections of the nearest chunks, else the knowledge topics
+const TOPIC_LABELS = {
+  company: "Company details",
+  tags: "Tags & cuisines",
+  writing: "Writing & capitalization",
+  images: "Images",
+  zones: "Zones & delivery",
+};
+function relatedTopics(ranked, all) {
+  const out = [];
+  for (const { c } of ranked) {
+    const name = String(c.section?.[0] || c.title || "").trim();
+    if (name && !out.includes(name)) out.push(name);
+    if (out.length >= 3) return out;
+  }
+  if (out.length) return out;
+  return [...new Set(all.map((c) => c.topic))].filter((t) => TOPIC_LABELS[t]).map((t) => TOPIC_LABELS[t]);
+}
+
 /* ---------- Build RAG answer (up to 3 rule lines) ---------- */
 export function buildAnswer({ question, marketPref = "AUTO" }) {
   const ALL = getKnowledge();
-  if (!ALL?.length) return { text: "I couldn’t find any SOP data yet.", sources: [] };
+  if (!ALL?.length) return { text: "I couldn’t find any SOP data yet.", sources: [], confidence: 0 };
 
-  const ranked = scoreChunks(question, ALL, marketPref);
-  const top = ranked.slice(0, 12).map((r) => r.c.text);
+  const ranked = scoreChunks(question, marketPref);
+  const confidence = answerConfidence(question, ranked);
+  if (confidence < MIN_CONFIDENCE) {
+    return { text: "", sources: [], confidence, notInSop: true, related: relatedTopics(ranked, ALL) };
+  }
 
+  // rule differs by market → show the variants side by side
+  const variants = questionMarket(question, marketPref) ? null : marketVariants(ranked);
+  if (variants) {
+    return {
+      text: variants.map((r, i) => `- ${MARKET_LABELS[r.c.market]}: ${answerLine(r.c)} [S${i + 1}]`).join("\n"),
+      sources: withCites(variants.map(toSource)),
+      confidence,
+    };
+  }
+
+  // each bullet cites the chunk it was taken from
   const chosen = [];
   const seen = new Set();
-  for (const line of top) {
+  for (const r of ranked.slice(0, 12)) {
+    const line = answerLine(r.c);
     const key = line.toLowerCase().replace(/\W+/g, " ").trim();
     if (seen.has(key)) continue;
     seen.add(key);
-    chosen.push(line);
+    chosen.push({ r, line });
     if (chosen.length >= 3) break;
   }
 
-  const sources = ranked.slice(0, 3).map((r) => ({
-    title: r.c.title,
-    market: r.c.market,
-    topic: r.c.topic,
-    text: r.c.text,
-  }));
-
-  const text = chosen.length ? chosen.map((s) => `- ${s}`).join("\n") : "";
-  return { text, sources };
+  const sources = withCites(chosen.map(({ r }) => toSource(r)));
+  const text = chosen.map(({ line }, i) => `- ${line} [S${i + 1}]`).join("\n");
+  return { text, sources, confidence };
 }
 
 /* ---------- Normalize context + Grounded prompt ---------- */
@@ -95,17 +168,24 @@ function normalizeContextText(t) {
   return t;
 }
 
-export function buildGroundedPrompt({ question, marketPref = "AUTO", sources = [] }) {
+// history: earlier session turns [{ question, answer }] — context for the question, never a source of facts
+const PROMPT_TURNS = 3;
+export function buildGroundedPrompt({ question, marketPref = "AUTO", sources = [], history = [] }) {
   const blocks = (sources || [])
     .slice(0, 3)
     .map(
       (s, i) =>
-        `• ${s.title || `Source ${i + 1}`} [${s.market || "ALL"}/${s.topic || "misc"}]: ${normalizeContextText(
+        `[${s.cite || `S${i + 1}`}] ${s.title || `Source ${i + 1}`} (${s.market || "ALL"}/${s.topic || "misc"}): ${normalizeContextText(
           s.text || ""
         )}`
     )
     .join("\n");
 
+  const convo = history
+    .slice(-PROMPT_TURNS)
+    .map((t) => `User: ${t.question}\nQC Buddy: ${String(t.answer || "").replace(CITE_RE, "").trim().slice(0, 300)}`)
+    .join("\n");
+
   if (!blocks.trim()) {
     return `
 You are QC Buddy. There are NO SOP facts for this question.
@@ -122,7 +202,10 @@ Hard rules:
 - DO NOT mention slides, filenames, pages, decks, or where to find info.
 - Write 1–3 SHORT bullet points (max). No headings, no JSON.
 - If the SOP doesn’t cover it, reply exactly: "I don't have this in the SOP." Then add ONE next step.
-
+- If the facts differ by market, write one bullet per market starting with the market (UAE / KSA / JOR).
+- End every bullet with the id of the fact it comes from, e.g. [S1]. Only use ids listed below.
+- Earlier turns only explain what the question refers to; facts come from the SOP facts.
+${convo ? `\nConversation so far:\n${convo}\n` : ""}
 Market: ${marketPref}
 Question: ${question}
 
@@ -131,80 +214,58 @@ ${blocks}
 `.trim();
 }
 
-/* ---------- Gemini client (cache/backoff) ---------- */
-const _aiCache = new Map();
-function _cacheGet(key) {
-  const ttl = Number(process.env.GEMINI_CACHE_TTL_MS || 600000);
-  const v = _aiCache.get(key);
-  if (!v) return null;
-  if (Date.now() - v.at > ttl) {
-    _aiCache.delete(key);
-    return null;
-  }
-  return v.text;
-}
-function _cacheSet(key, text) {
-  _aiCache.set(key, { at: Date.now(), text });
-  if (_aiCache.size > 500) _aiCache.delete(_aiCache.keys().next().value);
+/* ---------- Citations ---------- */
+// Every bullet must be backed by a source: its [S#] marker is kept when the cited fact shares
+// enough terms with the bullet, otherwise the best-supporting source is cited instead.
+// Bullets no source supports are dropped (CITATION_POLICY=drop, default) or kept and flagged (flag).
+const CITE_RE = /\[\s*S\d+(?:\s*[,;]\s*S?\d+)*\s*\]/gi;
+const MIN_SUPPORT = Number(process.env.CITATION_MIN_SUPPORT || 0.4);
+const MARKET_LABEL_RE = /^(uae|ksa|jor|jordan)\s*[:\-–]\s*/i;
+
+// share of the bullet's terms found in the source (title + text); a number the source
+// does not contain (a rate, a size, a limit) means no support at all
+function support(claim, source) {
+  const terms = [...new Set(tokenize(claim))];
+  if (!terms.length) return 0;
+  const doc = `${source.title || ""}\n${source.text || ""}`;
+  const numbers = doc.match(/\d+(?:\.\d+)?/g) || [];
+  if ((claim.match(/\d+(?:\.\d+)?/g) || []).some((n) => !numbers.includes(n))) return 0;
+  const have = new Set(tokenize(doc));
+  return terms.filter((t) => have.has(t)).length / terms.length;
 }
-const _sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-
-export async function callGeminiAPI(prompt) {
-  const key = process.env.GEMINI_KEY;
-  const mode = (process.env.GEMINI_MODE || "flash").toLowerCase();
-
-  if (!key) { console.log("[Gemini] SKIP: no GEMINI_KEY"); return null; }
-  if (mode === "off") { console.log("[Gemini] SKIP: GEMINI_MODE=off"); return null; }
-
-  const cacheKey = `${mode}:${prompt.slice(0, 1200)}`;
-  const cached = _cacheGet(cacheKey);
-  if (cached) return cached;
-
-  const models =
-    mode === "flash"
-      ? ["gemini-2.0-flash", "gemini-2.0-flash-lite", "gemini-1.5-flash"]
-      : ["gemini-2.5-flash", "gemini-2.0-flash", "gemini-2.0-flash-lite"];
-
-  const payload = {
-    contents: [{ role: "user", parts: [{ text: prompt }]}],
-    generationConfig: { temperature: 0.25, maxOutputTokens: 320 },
-  };
-
-  for (const m of models) {
-    let delay = 500;
-    for (let attempt = 1; attempt <= 3; attempt++) {
-      try {
-        const url = `https://generativelanguage.googleapis.com/v1beta/models/${m}:generateContent?key=${key}`;
-        const r = await fetch(url, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(payload),
-        });
-        const d = await r.json().catch(() => ({}));
-        const txt = d?.candidates?.[0]?.content?.parts?.[0]?.text;
-
-        if (r.ok && txt) {
-          console.log(`[Gemini] ✅ ${m} (attempt ${attempt})`);
-          _cacheSet(cacheKey, txt);
-          return txt;
-        }
-
-        const code = d?.error?.code || r.status;
-        const msg = d?.error?.message || r.statusText;
-        console.log(`[Gemini] ❌ ${m} (attempt ${attempt}) -> ${code} ${msg}`);
-        if (code === 429 || String(code).startsWith("5")) {
-          await _sleep(delay);
-          delay = Math.min(delay * 2, 4000);
-          continue;
-        }
-        break;
-      } catch (e) {
-        console.log(`[Gemini] ❌ ${m} (attempt ${attempt}) exception ->`, e.message);
-        await _sleep(delay);
-        delay = Math.min(delay * 2, 4000);
-      }
+
+export function citeAnswer(text, sources = [], { policy = process.env.CITATION_POLICY || "drop" } = {}) {
+  const byCite = new Map(sources.map((s) => [s.cite, s]));
+  const lines = String(text || "").split("\n");
+  const kept = [];
+  const citations = [];
+  const unsupported = [];
+
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (!line || /I don't have this in the SOP/i.test(line)) { kept.push(raw); continue; }
+
+    const claimed = [...line.matchAll(CITE_RE)].flatMap((m) => m[0].match(/\d+/g).map((n) => `S${n}`));
+    const body = line.replace(CITE_RE, "").replace(/\s+([.,;:])/g, "$1").trim();
+    const bare = body.replace(/^[*\-•]\s*/, "");
+    const claim = bare.replace(MARKET_LABEL_RE, "");
+
+    let cites = [...new Set(claimed)].filter((c) => byCite.has(c) && support(claim, byCite.get(c)) >= MIN_SUPPORT);
+    if (!cites.length) {
+      const best = sources
+        .map((s) => ({ s, v: support(claim, s) }))
+        .sort((a, b) => b.v - a.v)[0];
+      if (best && best.v >= MIN_SUPPORT) cites = [best.s.cite];
+    }
+
+    if (cites.length) {
+      kept.push(`${body} ${cites.map((c) => `[${c}]`).join("")}`);
+      citations.push({ line: bare, cites, ids: cites.map((c) => byCite.get(c).id) });
+    } else {
+      unsupported.push(bare);
+      if (policy === "flag") kept.push(`${body} [unverified]`);
     }
   }
-  console.log("[Gemini] All models failed; using RAG only.");
-  return null;
+
+  return { text: kept.join("\n").replace(/\n{3,}/g, "\n\n").trim(), citations, unsupported };
 }
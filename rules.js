@@ -0,0 +1,377 @@
+// rules.js — QC rule registry: each check declares id, fields, markets, severity, autoFix
+import fs from "fs";
+import path from "path";
+import {
+  checkItemName,
+  checkDescription,
+  checkTax,
+  checkSpellingEnglish,
+  checkTranslation,
+  checkCategories,
+  checkUnits,
+  checkCapsAfterColonOrNumber,
+  checkCustomizationTitle,
+  checkCustomizationOption,
+  checkWordOrder,
+  TAX_RULES,
+} from "./validators.js";
+import {
+  forEachPair,
+  checkMixedScript,
+  checkMissingTranslation,
+  checkUntranslated,
+  checkArabicPunctuation,
+  checkArabicSpacing,
+  checkArabicLetterVariants,
+  AR_PAIRS,
+} from "./arabicValidators.js";
+import { imageIssues, IMAGE_COLUMNS } from "./imageCheck.js";
+import {
+  checkDuplicateItems,
+  checkBranchConsistency,
+  checkCategoryShape,
+  checkOrphanOptions,
+  checkSharedDescriptions,
+} from "./menuChecks.js";
+
+export const SEVERITIES = ["error", "warning", "info"];
+
+/* ---------- Registry ---------- */
+const _rules = new Map();
+
+// rule: { id, description, fields[], markets[] ("ALL" = every market), severity, autoFix, scope, check(ctx) → issues[] }
+// scope "row" (default) sees one row; "menu" sees every row of the file and reports the rows involved.
+export function registerRule(rule) {
+  if (!rule?.id || typeof rule.check !== "function") throw new Error("rule needs an id and a check()");
+  if (_rules.has(rule.id)) throw new Error(`duplicate rule id: ${rule.id}`);
+  _rules.set(rule.id, {
+    id: rule.id,
+    description: "",
+    fields: [],
+    markets: ["ALL"],
+    severity: "warning",
+    autoFix: false,
+    scope: "row",
+    ...rule,
+  });
+}
+
+export function listRules() {
+  return [..._rules.values()].map(({ check, ...meta }) => meta);
+}
+
+/* ---------- Built-in rules ---------- */
+registerRule({
+  id: "item_name_case",
+  description: "Item names are Title Case (articles/prepositions lowercase)",
+  fields: ["item_name"],
+  severity: "warning",
+  autoFix: true,
+  check: ({ name }) => checkItemName(name),
+});
+
+registerRule({
+  id: "description_punctuation",
+  description: "Descriptions: capital first letter, no trailing period, no double spaces",
+  fields: ["item_description"],
+  severity: "warning",
+  autoFix: true,
+  check: ({ desc }) => checkDescription(desc).filter((x) => x.type !== "style"),
+});
+
+registerRule({
+  id: "description_title_case",
+  description: "Descriptions are sentence style, not Title Case",
+  fields: ["item_description"],
+  severity: "warning",
+  autoFix: false,
+  check: ({ desc }) => checkDescription(desc).filter((x) => x.type === "style"),
+});
+
+registerRule({
+  id: "tax_rate",
+  description: "VAT matches the market rate",
+  fields: ["tax"],
+  markets: Object.keys(TAX_RULES),
+  severity: "error",
+  autoFix: true,
+  check: ({ market, tax }) => checkTax(market, tax),
+});
+
+registerRule({
+  id: "spelling_en",
+  description: "English spelling against the dictionary",
+  fields: ["item_name"],
+  severity: "info",
+  autoFix: false,
+  check: ({ name, englishDict }) => (englishDict ? checkSpellingEnglish(name, englishDict) : []),
+});
+
+registerRule({
+  id: "glossary_translation",
+  description: "EN↔AR pairs (item, category, sub-category) follow the glossary",
+  fields: ["item_localized_name", "category_localized_name", "sub_category_localized_name"],
+  severity: "error",
+  autoFix: true,
+  check: ({ name, arName, market, glossary, row }) => {
+    if (!glossary) return [];
+    const out = arName ? checkTranslation(name, arName, market, glossary) : [];
+    // item EN↔AR is already covered by checkTranslation when arName is known
+    if (row) out.push(...checkCategories(row, market, glossary).filter((x) => !(arName && x.field === "item_name_pair")));
+    return out;
+  },
+});
+
+// Writing SOP coverage (units, casing after colon/number, customizations, word order)
+registerRule({
+  id: "units",
+  description: "Unit abbreviations: g, kg, pcs, mL, L, kcal",
+  fields: ["item_name", "item_description", "option_name", "option_group_name"],
+  severity: "warning",
+  autoFix: true,
+  check: ({ name, desc, row }) => [
+    ...checkUnits(name, "item_name"),
+    ...checkUnits(desc, "item_description"),
+    ...checkUnits(row?.option_name, "option_name"),
+    ...checkUnits(row?.option_group_name, "option_group_name"),
+  ],
+});
+
+registerRule({
+  id: "description_caps_after_colon_number",
+  description: "No capital letter after a colon or a number in descriptions (proper nouns excepted)",
+  fields: ["item_description"],
+  severity: "warning",
+  // suggest only: brands like "7 Up" look exactly like the mistake
+  autoFix: false,
+  check: ({ desc }) => checkCapsAfterColonOrNumber(desc),
+});
+
+registerRule({
+  id: "customization_title_case",
+  description: "Customization titles are sentence style (\"Choose size\")",
+  fields: ["option_group_name"],
+  severity: "warning",
+  autoFix: true,
+  check: ({ row }) => checkCustomizationTitle(row?.option_group_name),
+});
+
+registerRule({
+  id: "customization_option_case",
+  description: "Customization options are item style (\"Extra Onion\")",
+  fields: ["option_name"],
+  severity: "warning",
+  autoFix: true,
+  check: ({ row }) => checkCustomizationOption(row?.option_name),
+});
+
+registerRule({
+  id: "word_order",
+  description: "Describing word before the main noun (\"Danish Pastries\")",
+  fields: ["item_name"],
+  severity: "info",
+  autoFix: false,
+  check: ({ name }) => checkWordOrder(name),
+});
+
+// Arabic side (*_localized_* columns)
+const AR_FIELDS = AR_PAIRS.map(([, ar]) => ar);
+
+registerRule({
+  id: "ar_mixed_script",
+  description: "No Latin words in Arabic text, no Arabic in English text",
+  fields: [...AR_FIELDS, ...AR_PAIRS.map(([en]) => en)],
+  severity: "warning",
+  autoFix: false,
+  check: ({ row }) => forEachPair(row, (en, ar, arField, enField) => checkMixedScript(en, ar, arField, enField)),
+});
+
+registerRule({
+  id: "ar_missing_translation",
+  description: "Arabic is filled whenever English is",
+  fields: AR_FIELDS,
+  severity: "error",
+  autoFix: true,
+  check: ({ row, glossary, market }) =>
+    forEachPair(row, (en, ar, arField) => checkMissingTranslation(en, ar, arField, { glossary, market })),
+});
+
+registerRule({
+  id: "ar_untranslated",
+  description: "Arabic value is not a copy of the English one",
+  fields: AR_FIELDS,
+  severity: "error",
+  autoFix: true,
+  check: ({ row, glossary, market }) =>
+    forEachPair(row, (en, ar, arField) => checkUntranslated(en, ar, arField, { glossary, market })),
+});
+
+registerRule({
+  id: "ar_punctuation_digits",
+  description: "Arabic punctuation (، ؟ ؛) and Arabic digits inside Arabic text",
+  fields: AR_FIELDS,
+  severity: "warning",
+  autoFix: true,
+  check: ({ row }) => forEachPair(row, (_en, ar, arField) => checkArabicPunctuation(ar, arField)),
+});
+
+registerRule({
+  id: "ar_spacing",
+  description: "No tatweel (ـ) or extra spaces in Arabic text",
+  fields: AR_FIELDS,
+  severity: "warning",
+  autoFix: true,
+  check: ({ row }) => forEachPair(row, (_en, ar, arField) => checkArabicSpacing(ar, arField)),
+});
+
+registerRule({
+  id: "ar_letter_variants",
+  description: "Alef/yaa/taa marbuta spelling (ى/ة only word-final, glossary spellings)",
+  fields: AR_FIELDS,
+  severity: "warning",
+  autoFix: true,
+  check: ({ row, glossary, market }) =>
+    forEachPair(row, (_en, ar, arField) => checkArabicLetterVariants(ar, arField, { glossary, market })),
+});
+
+// Images — results come from menuQc's up-front checkImages() pass (ctx.images)
+registerRule({
+  id: "image_size",
+  description: "Item images 1200x1200, hero images 1125x780",
+  fields: Object.keys(IMAGE_COLUMNS),
+  severity: "error",
+  autoFix: false,
+  check: ({ row, images }) => imageIssues(row, images),
+});
+
+/* ---------- Menu-level rules ---------- */
+// ctx.entries: every row of the file (all sheets), see menuChecks.js
+registerRule({
+  id: "duplicate_item",
+  description: "An item appears once per category (per branch)",
+  fields: ["item_name"],
+  scope: "menu",
+  severity: "warning",
+  check: ({ entries }) => checkDuplicateItems(entries),
+});
+
+registerRule({
+  id: "branch_consistency",
+  description: "The same item has one price and description across branches",
+  fields: ["price", "item_description"],
+  scope: "menu",
+  severity: "warning",
+  check: ({ entries }) => checkBranchConsistency(entries),
+});
+
+registerRule({
+  id: "category_shape",
+  description: "Categories hold more than one item; no empty categories",
+  fields: ["category_name"],
+  scope: "menu",
+  severity: "info",
+  check: ({ entries }) => checkCategoryShape(entries),
+});
+
+registerRule({
+  id: "orphan_option",
+  description: "Options belong to an item on the menu",
+  fields: ["item_id", "item_name"],
+  scope: "menu",
+  severity: "error",
+  check: ({ entries }) => checkOrphanOptions(entries),
+});
+
+registerRule({
+  id: "shared_description",
+  description: "Descriptions are not copy-pasted across different items",
+  fields: ["item_description"],
+  scope: "menu",
+  severity: "info",
+  check: ({ entries }) => checkSharedDescriptions(entries),
+});
+
+/* ---------- Per-market config ---------- */
+// qc_rules.json: { "ALL": { "spelling_en": false }, "JO": { "tax_rate": { "severity": "warning", "autoFix": false } } }
+// true/false toggles a rule; an object may set { enabled, severity, autoFix }. Market entries override ALL.
+function loadRulesConfig() {
+  const file = process.env.QC_RULES_CONFIG || path.join(process.cwd(), "qc_rules.json");
+  if (!fs.existsSync(file)) return {};
+  try {
+    const json = JSON.parse(fs.readFileSync(file, "utf-8"));
+    console.log(`[rules] Loaded rule config from ${file}`);
+    return json && typeof json === "object" ? json : {};
+  } catch (e) {
+    console.warn(`[rules] Ignoring ${file}: ${e.message}`);
+    return {};
+  }
+}
+let _config = loadRulesConfig();
+
+export function setRulesConfig(config) {
+  _config = config && typeof config === "object" ? config : {};
+}
+
+function ruleSettings(rule, market) {
+  const out = { enabled: true, severity: rule.severity, autoFix: rule.autoFix };
+  for (const scope of ["ALL", market]) {
+    const v = _config?.[scope]?.[rule.id];
+    if (typeof v === "boolean") out.enabled = v;
+    else if (v && typeof v === "object") {
+      if (typeof v.enabled === "boolean") out.enabled = v.enabled;
+      if (SEVERITIES.includes(v.severity)) out.severity = v.severity;
+      if (typeof v.autoFix === "boolean") out.autoFix = v.autoFix;
+    }
+  }
+  return out;
+}
+
+function appliesToMarket(rule, market) {
+  return rule.markets.includes("ALL") || rule.markets.includes(market);
+}
+
+// Effective rule list for a market (what /qc-rules shows)
+export function rulesForMarket(market = "AUTO") {
+  return listRules().map((r) => {
+    const { enabled, severity, autoFix } = ruleSettings(r, market);
+    return { ...r, severity, autoFix, enabled: enabled && appliesToMarket(r, market) };
+  });
+}
+
+/* ---------- Engine ---------- */
+function runRules(scope, ctx) {
+  const market = ctx.market || "AUTO";
+  const issues = [];
+  for (const rule of _rules.values()) {
+    if (rule.scope !== scope || !appliesToMarket(rule, market)) continue;
+    const { enabled, severity, autoFix } = ruleSettings(rule, market);
+    if (!enabled) continue;
+    let found = [];
+    try {
+      found = rule.check({ ...ctx, market }) || [];
+    } catch (e) {
+      console.error(`[rules] ${rule.id} failed:`, e.message);
+      continue;
+    }
+    for (const issue of found) {
+      issues.push({
+        ...issue,
+        rule: rule.id,
+        severity,
+        // a rule may be fixable in general while a given issue is not (e.g. partial glossary hit)
+        autoFix: autoFix && issue.autoFix !== false,
+      });
+    }
+  }
+  return issues;
+}
+
+// ctx: { name, desc, market, tax, englishDict, glossary, arName, row, images }
+export function qcCheckSingle(ctx) {
+  return runRules("row", ctx);
+}
+
+// ctx: { market, entries } — issues carry rows: [{ sheet?, rowNumber }]
+export function qcCheckMenu(ctx) {
+  return runRules("menu", ctx);
+}
@@ -0,0 +1,184 @@
+// searchIndex.js — BM25 index over knowledge chunks (stemming + synonyms), cached on disk
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { getKnowledge } from "./knowledgeLoader.js";
+
+const INDEX_VERSION = 1;
+const INDEX_PATH = process.env.RAG_INDEX_PATH || path.join(process.cwd(), ".cache", "rag_index.json");
+const K1 = 1.2;
+const B = 0.75;
+const SYNONYM_WEIGHT = 0.5;
+
+/* ---------- Text → terms ---------- */
+const STOPWORDS = new Set([
+  "a","an","the","and","or","but","of","to","in","on","at","by","for","with","from","as","is","are","was","were",
+  "be","been","it","its","this","that","these","those","do","does","did","i","we","you","they","he","she",
+  "what","which","who","how","when","where","why","can","could","should","would","will","shall","may","my","our",
+  "your","their","me","us","if","then","so","than","there","here","about","into","any","all","some","not","no",
+]);
+
+// light suffix stripping: capitalization/capitalized/capitalise → capitaliz, images → imag
+export function stem(w) {
+  if (w.length <= 3 || /^\d/.test(w) || !/^[a-z]+$/.test(w)) return w;
+  let s = w;
+  s = s.replace(/i[sz]ation$/, "ize").replace(/ational$/, "ate");
+  if (/ies$/.test(s)) s = s.slice(0, -3) + "y";
+  else if (/sses$/.test(s)) s = s.slice(0, -2);
+  else if (/(ch|sh|x|z|s)es$/.test(s)) s = s.slice(0, -2);
+  else if (/[^su]s$/.test(s) && !/is$/.test(s)) s = s.slice(0, -1);
+  for (const suf of ["ments", "ment", "ing", "edly", "ed", "ly"]) {
+    if (s.endsWith(suf) && s.length - suf.length >= 3) { s = s.slice(0, -suf.length); break; }
+  }
+  s = s.replace(/ise$/, "ize");
+  if (s.length > 3 && s.endsWith("e")) s = s.slice(0, -1);
+  return s;
+}
+
+export function tokenize(text) {
+  const words = String(text || "").toLowerCase().match(/[a-z0-9]+|[\u0621-\u064A]+/g) || [];
+  // base64 blobs and ids are not words
+  return words.filter((w) => w.length <= 24 && !STOPWORDS.has(w)).map(stem);
+}
+
+// groups of interchangeable SOP words (stemmed at load)
+const SYNONYM_GROUPS = [
+  ["vat", "tax", "trn"],
+  ["image", "photo", "picture", "pic", "hero", "banner"],
+  ["capitalize", "capital", "uppercase", "caps", "capitalise"],
+  ["tag", "cuisine", "label"],
+  ["license", "licence", "tl"],
+  ["cr", "registration"],
+  ["zone", "area", "radius", "coverage", "discovery"],
+  ["bank", "iban", "beneficiary"],
+  ["hour", "timing", "schedule", "opening"],
+  ["ksa", "saudi"],
+  ["uae", "emirates"],
+  ["jordan", "jor"],
+  ["description", "desc"],
+  ["spelling", "typo", "misspell"],
+  ["company", "legal", "entity"],
+  ["address", "location"],
+  ["menu", "catalog", "catalogue"],
+  ["option", "customization", "customisation", "modifier", "addon"],
+  ["size", "dimension", "resolution"],
+  ["many", "max", "maximum", "limit", "up"],
+];
+const SYNONYMS = new Map();
+for (const group of SYNONYM_GROUPS) {
+  const stems = [...new Set(group.map(stem))];
+  for (const s of stems) SYNONYMS.set(s, [...new Set([...(SYNONYMS.get(s) || []), ...stems.filter((x) => x !== s)])]);
+}
+
+// query terms with weights: originals 1, synonyms SYNONYM_WEIGHT
+export function expandQuery(query) {
+  const weights = new Map();
+  for (const t of tokenize(query)) {
+    weights.set(t, 1);
+    for (const syn of SYNONYMS.get(t) || []) if (!weights.has(syn)) weights.set(syn, SYNONYM_WEIGHT);
+  }
+  return weights;
+}
+
+/* ---------- Build / persist ---------- */
+function chunkDoc(c) {
+  return `${c.title || ""}\n${c.text || ""}`;
+}
+
+export function chunksHash(chunks) {
+  const h = crypto.createHash("sha1");
+  for (const c of chunks) h.update(`${c.title}\u0000${c.market}\u0000${c.topic}\u0000${c.text}\u0001`);
+  return h.digest("hex");
+}
+
+export function buildIndex(chunks) {
+  const postings = {};
+  const docLen = [];
+  chunks.forEach((c, i) => {
+    const terms = tokenize(chunkDoc(c));
+    docLen.push(terms.length);
+    const tf = new Map();
+    for (const t of terms) tf.set(t, (tf.get(t) || 0) + 1);
+    for (const [t, n] of tf) (postings[t] ||= []).push([i, n]);
+  });
+  const total = docLen.reduce((a, b) => a + b, 0);
+  return {
+    version: INDEX_VERSION,
+    hash: chunksHash(chunks),
+    builtAt: new Date().toISOString(),
+    N: chunks.length,
+    avgdl: chunks.length ? total / chunks.length : 0,
+    docLen,
+    postings,
+  };
+}
+
+function readIndex() {
+  try { return JSON.parse(fs.readFileSync(INDEX_PATH, "utf-8")); }
+  catch { return null; }
+}
+
+function writeIndex(index) {
+  try {
+    fs.mkdirSync(path.dirname(INDEX_PATH), { recursive: true });
+    const tmp = `${INDEX_PATH}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(index), "utf-8");
+    fs.renameSync(tmp, INDEX_PATH);
+  } catch (e) {
+    console.warn(`[searchIndex] Could not persist index: ${e.message}`);
+  }
+}
+
+let _index = null;
+let _indexFor = null; // the knowledge array the index was built for
+
+// Index for the current knowledge: memory → disk (if hash matches) → rebuild + persist
+export function getIndex() {
+  const chunks = getKnowledge();
+  if (_index && _indexFor === chunks) return _index;
+  const hash = chunksHash(chunks);
+  let index = readIndex();
+  if (!index || index.version !== INDEX_VERSION || index.hash !== hash) {
+    index = buildIndex(chunks);
+    writeIndex(index);
+    console.log(`[searchIndex] Built BM25 index: ${index.N} chunks, ${Object.keys(index.postings).length} terms`);
+  } else {
+    console.log(`[searchIndex] Loaded BM25 index from ${INDEX_PATH}`);
+  }
+  _index = index;
+  _indexFor = chunks;
+  return _index;
+}
+
+export function rebuildIndex() {
+  _index = null;
+  _indexFor = null;
+  const chunks = getKnowledge();
+  const index = buildIndex(chunks);
+  writeIndex(index);
+  _index = index;
+  _indexFor = chunks;
+  return index;
+}
+
+/* ---------- Query ---------- */
+// Top-k chunks by BM25: [{ c, i, score }]
+export function search(query, { k = 10 } = {}) {
+  const chunks = getKnowledge();
+  const index = getIndex();
+  if (!index.N) return [];
+  const scores = new Map();
+  for (const [term, weight] of expandQuery(query)) {
+    const list = index.postings[term];
+    if (!list) continue;
+    const idf = Math.log(1 + (index.N - list.length + 0.5) / (list.length + 0.5));
+    for (const [i, tf] of list) {
+      const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + B * (index.docLen[i] / (index.avgdl || 1))));
+      scores.set(i, (scores.get(i) || 0) + weight * idf * norm);
+    }
+  }
+  return [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, k)
+    .map(([i, score]) => ({ c: chunks[i], i, score }));
+}
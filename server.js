@@ -1,29 +1,67 @@
-// server.js — QC Buddy backend (RAG + Gemini + CSV QC + cute batch + no slide refs)
+// server.js — QC Buddy backend (RAG + LLM + CSV QC + cute batch + no slide refs)
 import "dotenv/config";
 import express from "express";
 import bodyParser from "body-parser";
 import cors from "cors";
 import multer from "multer";
-import csvParser from "csv-parser";
 import fs from "fs";
-
-import { buildAnswer, buildGroundedPrompt, callGeminiAPI } from "./rag.js";
-import { getKnowledge } from "./knowledgeLoader.js";
-import { qcCheckSingle } from "./validators.js";
+import path from "path";
+
+import { buildAnswer, buildGroundedPrompt, citeAnswer } from "./rag.js";
+import { generate, generateStream, llmEnabled, llmInfo } from "./llm.js";
+import {
+  getKnowledge,
+  loadGlossary,
+  loadDictionary,
+  knowledgeVersion,
+  reloadKnowledge,
+  onKnowledgeChange,
+  watchKnowledge,
+} from "./knowledgeLoader.js";
+import { cleanRow } from "./validators.js";
+import { qcRows, qcMenu, sheetKind, mapColumns, hasQcColumns } from "./menuQc.js";
+import { normalizeMarket } from "./markets.js";
+import { rulesForMarket } from "./rules.js";
+import { checkImages, checkImageFile } from "./imageCheck.js";
+import { mapLimit } from "./asyncTools.js";
+import { suggestTagsFromMenu, tagCoverage, totalTagCoverage, isQsrOutlet } from "./tagSuggestor.js";
+import { parseCsvFile, writeCsv } from "./csvTools.js";
+import { isXlsx, parseXlsxFile, fixedWorkbook } from "./xlsxTools.js";
+import { getIndex, rebuildIndex } from "./searchIndex.js";
+import { publishSopFiles, listRawFiles } from "./sopConverter.js";
+import { aiQuota, QUOTA_CONFIG } from "./quota.js";
+import { requireRole, authConfigured, authDisabled } from "./auth.js";
+import { KEYS_FILE } from "./config.js";
+import { recordAnswer, recordFeedback, uncoveredReport } from "./feedback.js";
+import { recordRun, listRuns, getRun, qcReport } from "./qcRuns.js";
+import { isSessionId, getSession, addTurn, clearSession, sessionView, standaloneQuestion } from "./sessions.js";
+import { snapshotKnowledge, listVersions, diffVersions, rollbackKnowledge } from "./knowledgeVersions.js";
 
 const app = express();
 
+// TRUST_PROXY: behind a reverse proxy req.ip (the anonymous quota bucket) is the proxy unless it is trusted.
+// A hop count ("1"), "true", or addresses/subnets ("loopback, 10.0.0.0/8"), as Express "trust proxy" takes them.
+const TRUST_PROXY = String(process.env.TRUST_PROXY || "").trim();
+if (TRUST_PROXY) {
+  app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : /^(true|false)$/i.test(TRUST_PROXY) ? /^true$/i.test(TRUST_PROXY) : TRUST_PROXY);
+}
+
 /* ---------- CORS ---------- */
-const ALLOW = [
+// CORS_ORIGINS: comma-separated origins, or * for any
+const DEFAULT_ORIGINS = [
   "http://localhost:5173",
   "https://cookieemonsterr.github.io",
   "https://cookieemonsterr.github.io/qc-buddy-frontend",
 ];
+const ALLOW = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(",").map((s) => s.trim().replace(/\/$/, "")).filter(Boolean)
+  : DEFAULT_ORIGINS;
 app.use(
   cors({
-    origin: (origin, cb) => cb(null, !origin || ALLOW.includes(origin)),
-    methods: ["GET", "POST", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    origin: (origin, cb) => cb(null, !origin || ALLOW.includes("*") || ALLOW.includes(origin)),
+    methods: ["GET", "POST", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Api-Key", "X-Admin-Token", "X-Session-Id"],
+    exposedHeaders: ["X-AI-Quota-Remaining", "X-AI-Quota-Limit", "Retry-After", "X-QC-Run-Id"],
   })
 );
 app.options("*", cors());
@@ -31,25 +69,42 @@ app.options("*", cors());
 /* ---------- Parsers ---------- */
 app.use(bodyParser.json({ limit: "2mb" }));
 
-/* ---------- AI throttle ---------- */
-let _aiCalls = 0;
-const MAX_PER_MIN = Number(process.env.GEMINI_MAX_CALLS_PER_MIN || 30);
-setInterval(() => (_aiCalls = 0), 60_000);
-function aiGatekeeper(req, _res, next) {
-  const mode = (process.env.GEMINI_MODE || "flash").toLowerCase();
-  if (!process.env.GEMINI_KEY || mode === "off") return next(); // AI disabled
-  if (_aiCalls >= MAX_PER_MIN) req.forceRAG = true;
-  else _aiCalls++;
+/* ---------- Auth ---------- */
+// agent: ask + QC, lead: reports, admin: knowledge management + debug (see auth.js)
+const asAgent = requireRole("agent");
+const asLead = requireRole("lead");
+const asAdmin = requireRole("admin");
+
+/* ---------- AI quota ---------- */
+// Only AI routes get a quota handle, and a call is counted only when a model is actually asked.
+// Empty bucket (after the optional queue wait) → RAG answer saying so, or 429 with AI_QUOTA_STRICT=1.
+const AI_STRICT = /^(1|true|yes)$/i.test(process.env.AI_QUOTA_STRICT || "");
+
+function withAiQuota(req, _res, next) {
+  req.ai = aiQuota(req);
   next();
 }
-app.use(aiGatekeeper);
+
+function reportQuota(req, res) {
+  const quota = req.ai.status();
+  if (res.headersSent) return quota; // SSE: headers went out with the first event
+  res.set("X-AI-Quota-Remaining", String(quota.remaining));
+  res.set("X-AI-Quota-Limit", String(quota.limit));
+  return quota;
+}
+
+function quotaExceeded(req, res) {
+  const quota = reportQuota(req, res);
+  res.set("Retry-After", String(Math.ceil(quota.retryAfterMs / 1000)));
+  return res.status(429).json({ error: "quota_exceeded", quota });
+}
 
 /* ---------- Cleaners ---------- */
 function sanitizeAnswer(s) {
   if (!s) return s;
   s = s.replace(/```[\s\S]*?```/g, ""); // code blocks
   s = s.replace(/\{[\s\S]{200,}\}/g, ""); // big {...}
-  s = s.replace(/\[[\s\S]{200,}\]/g, ""); // big [...]
+  s = s.replace(/\[\s*[{["\d][\s\S]{200,}\]/g, ""); // big [...] (JSON arrays, not [S1] citations)
   s = s.replace(/\n{3,}/g, "\n\n").trim();
   if (s.length > 900) s = s.slice(0, 900) + " …";
   return s;
@@ -71,15 +126,18 @@ app.get("/health", (_req, res) => {
   res.json({
     ok: true,
     service: "qc-buddy-backend",
-    gemini: !!process.env.GEMINI_KEY,
-    mode: (process.env.GEMINI_MODE || "flash").toLowerCase(),
-    maxPerMin: MAX_PER_MIN,
+    llm: llmInfo(),
+    quota: QUOTA_CONFIG,
+    knowledge: knowledgeVersion(),
   });
 });
-app.get("/debug/knowledge", (_req, res) => {
+app.get("/debug/knowledge", asAdmin, (_req, res) => {
   const all = getKnowledge();
+  const markets = {};
+  for (const c of all) markets[c.market] = (markets[c.market] || 0) + 1;
   res.json({
     count: all.length,
+    markets,
     sample: all.slice(0, 5).map((c) => ({
       title: c.title,
       topic: c.topic,
@@ -90,210 +148,687 @@ app.get("/debug/knowledge", (_req, res) => {
 });
 
 /* ---------- Core single-item answer ---------- */
-async function answerOne(message, market, forceRAG = false) {
+// engine: "ai" when the model wrote the answer, otherwise "rag" with engineReason
+// history: earlier turns of the session (prompt context only)
+// onSources/onToken (streaming): retrieved sources as soon as they are known, then raw model text
+async function answerOne(message, market, ai, history = [], { onSources, onToken } = {}) {
   const rag = buildAnswer({ question: message, marketPref: market });
+  onSources?.(rag?.sources || []);
 
-  // No SOP? Be honest. Do NOT call Gemini.
+  // No SOP (or too weak a match)? Be honest, point at nearby topics. Do NOT call the LLM.
   if (!rag?.sources?.length) {
+    const related = rag?.related || [];
     return {
-      answer: "I don't have this in the SOP.",
+      answer: `I don't have this in the SOP.${related.length ? `\n\nRelated topics: ${related.join(", ")}` : ""}`,
       sources: [],
+      citations: [],
+      related,
+      confidence: rag?.confidence ?? 0,
+      engine: "rag",
+      engineReason: rag?.notInSop ? "not_in_sop" : "no_sources",
       buddyMood: "confused",
     };
   }
 
   let finalAnswer = rag.text || "";
-  const mode = (process.env.GEMINI_MODE || "flash").toLowerCase();
-  const aiEnabled = !!process.env.GEMINI_KEY && mode !== "off";
+  let engine = "rag";
+  let engineReason = null;
 
-  if (!forceRAG && aiEnabled) {
+  if (!llmEnabled()) engineReason = "ai_disabled";
+  else if (!ai || !(await ai.acquire())) engineReason = "quota_exhausted";
+  else {
     const prompt = buildGroundedPrompt({
       question: message,
       marketPref: market,
       sources: rag.sources,
+      history,
     });
-    const ai = await callGeminiAPI(prompt);
-    if (ai && ai.trim()) finalAnswer = ai.trim();
+    const text = onToken ? await streamText(prompt, onToken) : await generate(prompt);
+    if (text && text.trim()) {
+      finalAnswer = text.trim();
+      engine = "ai";
+    } else engineReason = "ai_failed";
   }
 
   // Final cleanup
   finalAnswer = stripMetaRefs(finalAnswer || rag.text || "I don't have this in the SOP.");
-  finalAnswer = sanitizeAnswer(finalAnswer);
+
+  // every bullet must cite a source; nothing citable left → the extractive answer
+  let cited = { text: finalAnswer, citations: [], unsupported: [] };
+  if (!finalAnswer.includes("I don't have this")) {
+    cited = citeAnswer(finalAnswer, rag.sources);
+    if (!cited.citations.length) {
+      cited = { ...citeAnswer(rag.text, rag.sources), unsupported: cited.unsupported };
+      if (engine === "ai") [engine, engineReason] = ["rag", "ai_unsupported"];
+    }
+  }
+  finalAnswer = sanitizeAnswer(cited.text || finalAnswer);
 
   return {
     answer: finalAnswer,
     sources: rag.sources || [],
+    citations: cited.citations,
+    ...(cited.unsupported.length ? { unsupported: cited.unsupported } : {}),
+    confidence: rag.confidence ?? 0,
+    engine,
+    ...(engineReason ? { engineReason } : {}),
     buddyMood: finalAnswer.includes("I don't have this") ? "confused" : "happy",
   };
 }
 
+async function streamText(prompt, onToken) {
+  let text = "";
+  for await (const delta of generateStream(prompt)) {
+    text += delta;
+    onToken(delta);
+  }
+  return text || null;
+}
+
 /* ---------- Cute batch formatter ---------- */
-function cuteList(results) {
-  const lines = results.map(({ label, answer }) => {
-    const first = (answer || "").split("\n")[0].trim();
-    return `• **${label}** — ${first || "Looks good ✅"}`;
+// optional markdown rendering of batch items (format=markdown)
+function cuteList(items) {
+  const lines = items.map(({ question, answer }) => {
+    // first line, without its bullet and [S#] markers (the summary carries no sources)
+    const first = (answer || "").split("\n")[0].replace(/^[-*•]\s*/, "").replace(/\s*\[S\d+\]/g, "").trim();
+    return `• **${question}** — ${first || "Looks good ✅"}`;
   });
-  return [
-    "Here’s what I found ✨",
-    "",
-    ...lines,
-    "",
-    "Want me to suggest cuisine tags too? 😼",
-  ].join("\n");
+  return ["Here’s what I found ✨", "", ...lines].join("\n");
 }
 
 /* ---------- Chat (with boss easter egg) ---------- */
-async function handleAsk(req, res) {
-  try {
-    const { message = "", market = "AUTO" } = req.body || {};
-    const text = String(message).trim();
-    if (!text) return res.status(400).json({ error: "missing_message" });
+const EASTER_EGG_RE = /اذا\s+نمت\s+وانا\s+جوعان\s+شو\s+بتساوي[؟?]?\s*$/i;
+const EASTER_EGG = {
+  answer: "اوووووووووووووووووووو\n\n**بطلبلك اكل وبطعميك من ايدي** 😼",
+  sources: [],
+  buddyMood: "happy",
+};
+const ASK_CONCURRENCY = Number(process.env.ASK_BATCH_CONCURRENCY || 3);
+
+// → { text, market, sessionId }, or null after sending the 400
+function parseAsk(req, res) {
+  const { message = "", market = "AUTO" } = req.body || {};
+  const text = String(message).trim();
+  if (!text) {
+    res.status(400).json({ error: "missing_message" });
+    return null;
+  }
+  const sessionId = String(req.body?.sessionId || req.get("x-session-id") || "");
+  if (sessionId && !isSessionId(sessionId)) {
+    res.status(400).json({ error: "invalid_session_id" });
+    return null;
+  }
+  return { text, market, sessionId };
+}
 
-    // Easter egg
-    const easterEggRe = /اذا\s+نمت\s+وانا\s+جوعان\s+شو\s+بتساوي[؟?]?\s*$/i;
-    if (easterEggRe.test(text)) {
-      return res.json({
-        answer: "اوووووووووووووووووووو\n\n**بطلبلك اكل وبطعميك من ايدي** 😼",
-        sources: [],
-        buddyMood: "happy",
-      });
-    }
+// one line per question, answered ASK_BATCH_CONCURRENCY at a time; onItem fires as each finishes.
+// Each item carries its own sources, so [S#] citations resolve within the item.
+async function askBatch(req, lines, market, onItem) {
+  let exhausted = false;
+  const caller = req.auth?.id ?? null;
+  const items = await mapLimit(lines, ASK_CONCURRENCY, async (question, index) => {
+    const r = recordAnswer({ question, market, caller }, await answerOne(question, market, req.ai));
+    if (r.engineReason === "quota_exhausted") exhausted = true;
+    const item = {
+      index,
+      answerId: r.answerId,
+      question,
+      answer: r.answer,
+      sources: r.sources,
+      citations: r.citations,
+      confidence: r.confidence,
+      buddyMood: r.buddyMood,
+      engine: r.engine,
+      ...(r.engineReason ? { engineReason: r.engineReason } : {}),
+    };
+    onItem?.(item);
+    return item;
+  });
+  return { items, exhausted };
+}
+
+// markdown summary only on request (body/query format=markdown)
+function batchBody(req, res, items) {
+  const markdown = String(req.body?.format || req.query?.format || "").toLowerCase() === "markdown";
+  return {
+    batch: true,
+    items,
+    ...(markdown ? { answer: cuteList(items) } : {}),
+    engine: items.some((r) => r.engine === "ai") ? "ai" : "rag",
+    quota: reportQuota(req, res),
+    buddyMood: items.some((r) => r.buddyMood === "happy") ? "helpful" : "confused",
+  };
+}
 
-    const items = text.split("\n").map((s) => s.trim()).filter(Boolean);
+// single question: follow-ups are rewritten against the session before retrieval
+async function askSingle(req, { text, market, sessionId }, hooks) {
+  const owner = req.auth?.id ?? null;
+  const turns = sessionId ? getSession(sessionId, owner)?.turns || [] : [];
+  const question = standaloneQuestion(text, turns);
+  const r = recordAnswer({ question, market, caller: owner }, await answerOne(question, market, req.ai, turns, hooks));
+  if (sessionId) addTurn(sessionId, owner, { question: text, standalone: question, answer: r.answer, market });
+  return {
+    ...r,
+    ...(sessionId ? { sessionId } : {}),
+    ...(question !== text ? { standaloneQuestion: question } : {}),
+  };
+}
 
+async function handleAsk(req, res) {
+  try {
+    const input = parseAsk(req, res);
+    if (!input) return;
+    if (EASTER_EGG_RE.test(input.text)) return res.json(EASTER_EGG);
+
+    const items = input.text.split("\n").map((s) => s.trim()).filter(Boolean);
     if (items.length > 1) {
-      const results = [];
-      for (const item of items) {
-        const r = await answerOne(item, market, req.forceRAG);
-        results.push({ label: item, answer: r.answer, sources: r.sources });
-      }
-      return res.json({
-        answer: cuteList(results),
-        sources: results.flatMap((r) => r.sources || []),
-        buddyMood: "helpful",
-      });
+      const batch = await askBatch(req, items, input.market);
+      if (AI_STRICT && batch.exhausted) return quotaExceeded(req, res);
+      return res.json(batchBody(req, res, batch.items));
     }
 
-    const r = await answerOne(text, market, req.forceRAG);
-    return res.json(r);
+    const r = await askSingle(req, input);
+    if (AI_STRICT && r.engineReason === "quota_exhausted") return quotaExceeded(req, res);
+    return res.json({ ...r, quota: reportQuota(req, res) });
   } catch (err) {
     console.error("ASK error:", err);
     return res.status(500).json({ error: "server_error", details: String(err) });
   }
 }
 
+// Server-Sent Events. Single question: "sources", then "token" deltas of the raw model text, then
+// "answer" (the same body /ask returns — citation-checked, so it may differ from the tokens).
+// Batch: "batch" { total }, one "item" per question as it completes, then "answer". Always ends with "done".
+async function handleAskStream(req, res) {
+  const input = parseAsk(req, res);
+  if (!input) return;
+
+  res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", "X-Accel-Buffering": "no" });
+  res.flushHeaders();
+  let closed = false;
+  res.on("close", () => (closed = true));
+  const emit = (event, data) => {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const items = input.text.split("\n").map((s) => s.trim()).filter(Boolean);
+    if (EASTER_EGG_RE.test(input.text)) emit("answer", EASTER_EGG);
+    else if (items.length > 1) {
+      emit("batch", { total: items.length });
+      const batch = await askBatch(req, items, input.market, (item) => emit("item", item));
+      if (AI_STRICT && batch.exhausted) emit("error", { error: "quota_exceeded", quota: reportQuota(req, res) });
+      else emit("answer", batchBody(req, res, batch.items));
+    } else {
+      const r = await askSingle(req, input, {
+        onSources: (sources) => emit("sources", { sources }),
+        onToken: (text) => emit("token", { text }),
+      });
+      if (AI_STRICT && r.engineReason === "quota_exhausted") emit("error", { error: "quota_exceeded", quota: reportQuota(req, res) });
+      else emit("answer", { ...r, quota: reportQuota(req, res) });
+    }
+  } catch (err) {
+    console.error("ASK stream error:", err);
+    emit("error", { error: "server_error", details: String(err) });
+  } finally {
+    emit("done", {});
+    res.end();
+  }
+}
+
 /* Routes (compat aliases) */
-app.post("/ask", handleAsk);
-app.post("/chat", handleAsk);
-app.post("/api/ask", handleAsk);
-app.post("/api/chat", handleAsk);
-app.post("/", handleAsk);
+app.post("/ask", asAgent, withAiQuota, handleAsk);
+app.post("/ask/stream", asAgent, withAiQuota, handleAskStream);
+app.post("/chat", asAgent, withAiQuota, handleAsk);
+app.post("/api/ask", asAgent, withAiQuota, handleAsk);
+app.post("/api/chat", asAgent, withAiQuota, handleAsk);
+app.post("/", asAgent, withAiQuota, handleAsk);
+
+/* ---------- Sessions ---------- */
+// the caller's own session only (sessions are keyed by auth identity)
+app.get("/session/:id", asAgent, (req, res) => {
+  const s = getSession(req.params.id, req.auth?.id ?? null);
+  if (!s) return res.status(404).json({ error: "session_not_found" });
+  res.json(sessionView(s));
+});
+
+app.delete("/session/:id", asAgent, (req, res) => {
+  if (!clearSession(req.params.id, req.auth?.id ?? null)) return res.status(404).json({ error: "session_not_found" });
+  res.json({ ok: true });
+});
+
+/* ---------- Feedback + reports ---------- */
+// { answerId, rating: "up"|"down", correction? } — answerId comes with every /ask answer;
+// without one (expired), pass question (+ sourceIds) instead. Text fields must be strings (400 otherwise).
+app.post("/feedback", asAgent, (req, res) => {
+  const { entry, error } = recordFeedback(req.body || {}, req.auth?.id ?? null);
+  if (error) return res.status(error === "unknown_answer" ? 404 : 400).json({ error });
+  res.json({ ok: true, feedback: entry });
+});
+
+// most-asked uncovered topics + thumbs-down sources; ?days=30&limit=20
+app.get("/reports/unanswered", asLead, (req, res) => {
+  const days = Math.min(365, Math.max(1, Number(req.query.days) || 30));
+  const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+  res.json(uncoveredReport({ days, limit }));
+});
 
 /* ---------- Suggest tags ---------- */
-app.post("/suggest-tags", async (req, res) => {
+// Keyword scorer (tags.json + Tags SOP) always runs; the LLM, when available, leads and
+// the scorer fills gaps and supplies coverage numbers.
+app.post("/suggest-tags", asAgent, withAiQuota, async (req, res) => {
   try {
     const items = Array.isArray(req.body?.items) ? req.body.items : [];
     const market = String(req.body?.market || "AUTO");
+    const outletName = String(req.body?.outletName || "");
+    const qsr = typeof req.body?.qsr === "boolean" ? req.body.qsr : undefined;
     if (!items.length) {
       return res.status(400).json({
         cuisineTags: [],
         extraTags: [],
+        coverage: [],
         reasoning: [],
         notes: ["No items provided."],
       });
     }
 
-    const prompt = [
-      `You are QC Buddy. Market: ${market}.`,
-      `For the items below, suggest 1–3 concise cuisine tags (lowercase, no emojis).`,
-      `Return JSON only: {"cuisineTags":["..."],"extraTags":["..."],"reasoning":["..."],"notes":["..."]}`,
-      ``,
-      `Items:`,
-      ...items.map((s, i) => `${i + 1}. ${s}`),
-    ].join("\n");
+    const rules = suggestTagsFromMenu({ items, market, outletName, qsr });
+    const fastFoodOk = qsr ?? isQsrOutlet(outletName);
 
     let parsed = null;
-    const ai = await callGeminiAPI(prompt);
-    if (ai) {
-      const jsonish = ai.replace(/```(?:json)?|```/g, "").trim();
-      try { parsed = JSON.parse(jsonish); } catch { parsed = null; }
+    let engineReason = null;
+    if (!llmEnabled()) engineReason = "ai_disabled";
+    else if (!(await req.ai.acquire())) {
+      if (AI_STRICT) return quotaExceeded(req, res);
+      engineReason = "quota_exhausted";
+    } else {
+      const prompt = [
+        `You are QC Buddy. Market: ${market}.${outletName ? ` Outlet: ${outletName}.` : ""}`,
+        `For the items below, suggest 1–3 concise cuisine tags (no emojis) that together reflect ~50% of the menu.`,
+        `Do not suggest "Fast Food" unless the outlet is a mass QSR chain (McDonald's, Burger King).`,
+        `Return JSON only: {"cuisineTags":["..."],"extraTags":["..."],"reasoning":["..."],"notes":["..."]}`,
+        ``,
+        `Items:`,
+        ...items.map((s, i) => `${i + 1}. ${s}`),
+      ].join("\n");
+      const ai = await generate(prompt);
+      if (ai) {
+        const jsonish = ai.replace(/```(?:json)?|```/g, "").trim();
+        try { parsed = JSON.parse(jsonish); } catch { parsed = null; }
+      }
     }
 
+    const clamp = (arr, n) => (Array.isArray(arr) ? arr.slice(0, n) : []);
+    const uniqTags = (arr) => {
+      const seen = new Set();
+      return arr.filter((t) => {
+        const k = String(t).trim().toLowerCase();
+        if (!k || seen.has(k) || (!fastFoodOk && /^fast\s*food$/.test(k))) return false;
+        seen.add(k);
+        return true;
+      });
+    };
+
     if (!parsed || !Array.isArray(parsed.cuisineTags)) {
       return res.json({
-        cuisineTags: [],
-        extraTags: [],
-        reasoning: [],
-        notes: ["Couldn’t generate tags right now."],
+        ...rules,
+        source: "rules",
+        engine: "rules",
+        engineReason: engineReason || "ai_failed",
+        quota: reportQuota(req, res),
       });
     }
 
-    const clamp = (arr, n) => (Array.isArray(arr) ? arr.slice(0, n) : []);
+    const cuisineTags = uniqTags([...parsed.cuisineTags, ...rules.cuisineTags]).slice(0, 3);
+    const extraTags = uniqTags([...(parsed.extraTags || []), ...rules.extraTags]).slice(0, 6);
     return res.json({
-      cuisineTags: clamp(parsed.cuisineTags, 12),
-      extraTags: clamp(parsed.extraTags || [], 12),
-      reasoning: clamp(parsed.reasoning || [], 8),
-      notes: clamp(parsed.notes || [], 4),
+      cuisineTags,
+      extraTags,
+      coverage: tagCoverage(items, cuisineTags),
+      totalCoverage: totalTagCoverage(items, cuisineTags),
+      reasoning: [...clamp(parsed.reasoning || [], 5), ...rules.reasoning].slice(0, 8),
+      notes: uniqTags([...clamp(parsed.notes || [], 2), ...rules.notes]).slice(0, 6),
+      source: "ai+rules",
+      engine: "ai",
+      quota: reportQuota(req, res),
     });
   } catch (err) {
     console.error("SUGGEST TAGS error:", err);
     return res.status(500).json({
       cuisineTags: [],
       extraTags: [],
+      coverage: [],
       reasoning: [],
       notes: ["Server error generating tags."],
     });
   }
 });
 
-/* ---------- CSV QC (/fix-file) ---------- */
-const upload = multer({ dest: "uploads/" });
+/* ---------- Menu QC (/fix-file: CSV or .xlsx) ---------- */
+const UPLOAD_DIR = process.env.UPLOAD_DIR || "uploads/";
+const UPLOAD_MAX_MB = Number(process.env.UPLOAD_MAX_MB || 20);
+const upload = multer({ dest: UPLOAD_DIR, limits: { fileSize: UPLOAD_MAX_MB * 1024 * 1024 } });
+
+// multer errors (file too large, too many files) as JSON instead of Express's HTML 500
+function accept(middleware) {
+  return (req, res, next) => middleware(req, res, (err) => {
+    if (!(err instanceof multer.MulterError)) return next(err);
+    if (err.code === "LIMIT_FILE_SIZE") return res.status(413).json({ error: "file_too_large", details: err.message });
+    res.status(400).json({ error: "invalid_upload", details: err.message });
+  });
+}
+
+// multer hands multipart filenames over as latin1; UTF-8 names (Arabic merchants) need their bytes re-read
+function uploadName(file, fallback = "") {
+  return file?.originalname ? Buffer.from(file.originalname, "latin1").toString("utf8") : fallback;
+}
+
+// Loaded at boot and again whenever the knowledge set changes; null disables the matching checks
+let GLOSSARY = loadGlossary();
+let ENGLISH_DICT = loadDictionary();
+onKnowledgeChange((_version, reason) => {
+  GLOSSARY = loadGlossary();
+  ENGLISH_DICT = loadDictionary();
+  rebuildIndex();
+  try { snapshotKnowledge({ source: reason }); }
+  catch (e) { console.warn(`[knowledgeVersions] Snapshot failed: ${e.message}`); }
+});
+
+function wantsCsv(req) {
+  const output = String(req.query?.output || req.body?.output || "").toLowerCase();
+  return output === "csv" || req.path.endsWith("/download");
+}
+function wantsChangelog(req) {
+  const v = String(req.query?.changelog ?? req.body?.changelog ?? "").toLowerCase();
+  return v === "1" || v === "true" || v === "yes";
+}
+
+async function handleFixFile(req, res) {
+  if (!req.file?.path) return res.status(400).json({ error: "no_file" });
+  const market = req.body?.market || "AUTO";
+  const filename = uploadName(req.file, "menu.csv");
+  const xlsxUpload = isXlsx(filename);
+
+  // CSV → one unnamed sheet; .xlsx → every sheet, each with its own headers
+  let parsed;
+  try {
+    if (xlsxUpload) {
+      parsed = await parseXlsxFile(req.file.path);
+    } else {
+      const { headers, rows } = await parseCsvFile(req.file.path);
+      parsed = { sheets: [{ name: null, headers, rows, rowNumbers: rows.map((_, i) => i + 2) }] };
+    }
+  } catch (e) {
+    // the parser's own message (jszip, csv-parse) means nothing to the uploader
+    console.warn(`Menu parse error (${filename}): ${e.message}`);
+    return res.status(400).json({ error: "invalid_file", details: `Could not read the file as ${xlsxUpload ? ".xlsx" : "CSV"}` });
+  } finally {
+    try { fs.unlinkSync(req.file.path); } catch {}
+  }
 
-app.post("/fix-file", upload.single("file"), async (req, res) => {
   try {
-    if (!req.file?.path) return res.status(400).json({ error: "no_file" });
-    const market = req.body?.market || "AUTO";
-
-    const rows = [];
-    const issues = [];
-
-    fs.createReadStream(req.file.path)
-      .pipe(csvParser())
-      .on("data", (row) => {
-        rows.push(row);
-
-        const name =
-          row["item_name"] || row["name"] || row["Item Name"] || row["Name"] || "";
-        const desc =
-          row["item_description"] || row["description"] ||
-          row["Item Description"] || row["Description"] || "";
-
-        const rowIssues = qcCheckSingle({ name, desc, market, tax: null, row });
-        if (rowIssues?.length) issues.push({ row, rowIssues });
-      })
-      .on("end", () => {
-        try { fs.unlinkSync(req.file.path); } catch {}
-        res.json({
-          message: "File processed successfully",
-          totalRows: rows.length,
-          rowsWithIssues: issues.length,
-          issues,
-        });
-      })
-      .on("error", (e) => {
-        try { fs.unlinkSync(req.file.path); } catch {}
-        console.error("CSV parse error:", e);
-        res.status(500).json({ error: "file_parse_error", details: String(e) });
+    // image URLs are fetched from the server, so only on request (images=1)
+    const images = /^(1|true|yes)$/i.test(String(req.query?.images ?? req.body?.images ?? ""));
+    const sheets = [];
+    const results = [];
+    for (const sheet of parsed.sheets) {
+      const kind = sheetKind(sheet.name);
+      // only workbook sheets are skipped (notes, lookups); a CSV always goes through, as before
+      if (xlsxUpload && (!sheet.rows.length || !hasQcColumns(mapColumns(sheet.headers, kind)))) {
+        sheets.push({ name: sheet.name, kind, totalRows: sheet.rows.length, skipped: true });
+        continue;
+      }
+      const qc = await qcRows(sheet.headers, sheet.rows, {
+        market,
+        kind,
+        glossary: GLOSSARY,
+        englishDict: ENGLISH_DICT,
+        images,
+      });
+      const sheetResults = qc.results.map((r, i) => ({ ...(sheet.name !== null && { sheet: sheet.name }), rowNumber: sheet.rowNumbers[i], ...r }));
+      sheets.push({ ...sheet, kind, columns: qc.columns, results: sheetResults });
+      results.push(...sheetResults);
+    }
+    if (!results.length && xlsxUpload) return res.status(400).json({ error: "no_menu_sheets", details: "No sheet has menu columns QC can check" });
+    // cross-row checks over all QC'd sheets together; reported, never auto-fixed
+    const menu = qcMenu(sheets.filter((sh) => !sh.skipped), { market });
+
+    const run = recordRun({
+      uploader: req.auth,
+      market: normalizeMarket(market) || "AUTO",
+      merchant: req.body?.merchant,
+      filename,
+      output: wantsCsv(req) ? (xlsxUpload ? "xlsx" : "csv") : "json",
+    }, results, menu);
+
+    // Corrected file: same headers/order (same sheets for .xlsx), auto-fixes applied, optional change log
+    if (wantsCsv(req)) {
+      const withLog = wantsChangelog(req);
+      const base = filename.replace(/\.(csv|xlsx)$/i, "");
+      if (run) res.setHeader("X-QC-Run-Id", run.id);
+
+      if (xlsxUpload) {
+        const edits = [];
+        for (const { name, columns, results: rs = [] } of sheets) {
+          for (const { row, rowNumber, rowIssues } of rs) {
+            for (const c of cleanRow(row, rowIssues, columns).changes) edits.push({ sheet: name, rowNumber, ...c });
+          }
+        }
+        const buf = await fixedWorkbook(parsed.wb, parsed.sheets, edits,
+          withLog ? edits.map((e) => ({ sheet: e.sheet, row: e.rowNumber, column: e.column, from: e.from, to: e.to })) : null);
+        res.attachment(`${base}_fixed.xlsx`); // encodes non-ASCII names (filename*=UTF-8'')
+        res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+        return res.send(buf);
+      }
+
+      const [{ headers, columns }] = sheets;
+      const outHeaders = withLog ? [...headers, "qc_changes"] : headers;
+      const fixedRows = results.map(({ row, rowIssues }) => {
+        const { row: fixed, changes } = cleanRow(row, rowIssues, columns);
+        if (withLog) {
+          fixed.qc_changes = changes.map((c) => `${c.column}: "${c.from}" → "${c.to}"`).join("; ");
+        }
+        return fixed;
       });
+      res.attachment(`${base}_fixed.csv`);
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      return writeCsv(res, outHeaders, fixedRows);
+    }
+
+    const issues = results.filter((r) => r.rowIssues?.length);
+    const byRule = {};
+    for (const i of [...issues.flatMap((r) => r.rowIssues), ...menu.issues]) byRule[i.rule] = (byRule[i.rule] || 0) + 1;
+    res.json({
+      message: "File processed successfully",
+      runId: run?.id ?? null,
+      totalRows: results.length,
+      rowsWithIssues: issues.length,
+      byRule,
+      ...(xlsxUpload && {
+        sheets: sheets.map(({ name, kind, totalRows, skipped, results: rs = [] }) => ({
+          name,
+          kind,
+          totalRows: totalRows ?? rs.length,
+          rowsWithIssues: rs.filter((r) => r.rowIssues?.length).length,
+          ...(skipped && { skipped }),
+        })),
+      }),
+      issues,
+      menuIssues: menu.issues,
+    });
   } catch (err) {
     console.error("FIX-FILE error:", err);
     res.status(500).json({ error: "file_process_error", details: String(err) });
   }
+}
+
+app.post("/fix-file", asAgent, accept(upload.single("file")), handleFixFile);
+app.post("/fix-file/download", asAgent, accept(upload.single("file")), handleFixFile);
+
+/* ---------- QC run history ---------- */
+const isLead = (req) => ["lead", "admin"].includes(req.auth?.role);
+
+// agents see their own runs, leads everything; ?market=AE&merchant=&uploader=&days=&limit=
+app.get("/qc-runs", asAgent, (req, res) => {
+  const market = req.query.market ? normalizeMarket(req.query.market) : null;
+  if (req.query.market && !market) return res.status(400).json({ error: "invalid_market" });
+  const runs = listRuns({
+    uploader: isLead(req) ? (req.query.uploader || undefined) : req.auth?.id ?? null,
+    market,
+    merchant: req.query.merchant,
+    days: Number(req.query.days) || 0,
+    limit: Math.min(500, Math.max(1, Number(req.query.limit) || 50)),
+  });
+  res.json({ runs });
+});
+
+// full results of one run: summary + every row with issues (sheet + spreadsheet rowNumber, header = row 1)
+app.get("/qc-runs/:id", asAgent, (req, res) => {
+  const run = getRun(req.params.id);
+  if (!run || (!isLead(req) && run.uploader?.id !== (req.auth?.id ?? null))) {
+    return res.status(404).json({ error: "run_not_found" });
+  }
+  res.json(run);
+});
+
+// most common issues per market per week (or per merchant); ?groupBy=week|merchant&market=&days=90&limit=5
+app.get("/reports/qc", asLead, (req, res) => {
+  const groupBy = String(req.query.groupBy || "week");
+  if (!["week", "merchant"].includes(groupBy)) return res.status(400).json({ error: "invalid_group_by", details: "week | merchant" });
+  const market = req.query.market ? normalizeMarket(req.query.market) : null;
+  if (req.query.market && !market) return res.status(400).json({ error: "invalid_market" });
+  const days = Math.min(365, Math.max(1, Number(req.query.days) || 90));
+  const limit = Math.min(50, Math.max(1, Number(req.query.limit) || 5));
+  res.json(qcReport({ groupBy, market, days, limit }));
+});
+
+// Rule registry (ids, fields, severity, autoFix, enabled) so the frontend can group/filter
+app.get("/qc-rules", asAgent, (req, res) => {
+  const raw = String(req.query?.market || "AUTO");
+  const market = raw.toUpperCase() === "AUTO" ? "AUTO" : normalizeMarket(raw);
+  if (!market) return res.status(400).json({ error: "invalid_market" });
+  res.json({ market, rules: rulesForMarket(market) });
+});
+
+/* ---------- Image size QC ---------- */
+// JSON { urls:[...], kind? } and/or multipart "files" (+ optional "urls" field, one per line)
+app.post("/check-images", asAgent, accept(upload.array("files", 50)), async (req, res) => {
+  const files = req.files || [];
+  try {
+    const kind = ["item", "hero"].includes(req.body?.kind) ? req.body.kind : undefined;
+    let urls = req.body?.urls || [];
+    if (typeof urls === "string") urls = urls.split(/\r?\n/);
+    urls = (Array.isArray(urls) ? urls : []).map((u) => String(u).trim()).filter(Boolean);
+    if (!urls.length && !files.length) return res.status(400).json({ error: "no_images" });
+
+    const fromUrls = await checkImages(urls.map((u) => ({ url: u, kind })));
+    const fromFiles = [];
+    for (const f of files) {
+      fromFiles.push({ file: uploadName(f), kind: kind || null, ...(await checkImageFile(f.path, { kind })) });
+    }
+    const results = [...fromUrls, ...fromFiles];
+    res.json({
+      total: results.length,
+      passed: results.filter((r) => r.ok).length,
+      failed: results.filter((r) => !r.ok).length,
+      results,
+    });
+  } catch (err) {
+    console.error("CHECK-IMAGES error:", err);
+    res.status(500).json({ error: "image_check_error", details: String(err) });
+  } finally {
+    for (const f of files) { try { fs.unlinkSync(f.path); } catch {} }
+  }
+});
+
+/* ---------- Admin: knowledge ---------- */
+// admin role: an admin API key/JWT, or the legacy ADMIN_TOKEN
+const sopUpload = multer({ dest: UPLOAD_DIR, limits: { fileSize: 25 * 1024 * 1024, files: 20 } });
+let _publishing = Promise.resolve(); // one conversion/publish at a time
+
+app.get("/admin/knowledge", asAdmin, async (_req, res) => {
+  const raw = await listRawFiles();
+  res.json({ version: knowledgeVersion(), rawFiles: raw.map((f) => path.basename(f)) });
+});
+
+app.post("/admin/knowledge/reload", asAdmin, (_req, res) => {
+  try {
+    res.json(reloadKnowledge({ force: true, reason: "manual" }));
+  } catch (err) {
+    res.status(409).json({ error: "reload_rejected", details: err.message, version: knowledgeVersion() });
+  }
+});
+
+// multipart "files" (.docx/.pptx/.xlsx), optional mode=smart|full (same as make_knowledge.mjs --mode);
+// confirm=1 to publish an output smaller than the knowledge file it replaces (409 otherwise)
+app.post("/admin/knowledge/upload", asAdmin, accept(sopUpload.array("files", 20)), async (req, res) => {
+  const files = req.files || [];
+  try {
+    if (!files.length) return res.status(400).json({ error: "no_files" });
+    const mode = req.body?.mode === "full" ? "full" : "smart";
+    const uploads = files.map((f) => ({
+      path: f.path,
+      name: path.basename(uploadName(f, "sop")).replace(/[^\p{L}\p{N}_.() -]/gu, "_"),
+    }));
+    const confirm = /^(1|true|yes)$/i.test(String(req.body?.confirm || ""));
+    const job = _publishing.then(() => publishSopFiles(uploads, { mode, confirm }));
+    _publishing = job.catch(() => {});
+    const result = await job;
+    if (result.confirmRequired) return res.status(409).json({ error: "sop_shrinks", ...result, version: knowledgeVersion() });
+    if (!result.ok) return res.status(422).json({ error: "invalid_sop", ...result, version: knowledgeVersion() });
+    res.json(result);
+  } catch (err) {
+    console.error("SOP upload error:", err);
+    res.status(500).json({ error: "sop_publish_error", details: String(err) });
+  } finally {
+    for (const f of files) { try { fs.unlinkSync(f.path); } catch {} }
+  }
+});
+
+// snapshots, newest first (each knowledge change is stored; see knowledgeVersions.js)
+app.get("/admin/knowledge/versions", asAdmin, (_req, res) => {
+  res.json({ live: knowledgeVersion(), versions: listVersions() });
+});
+
+// ?from=<version>&to=<version|live> → added/removed/changed chunks grouped by topic + market
+app.get("/admin/knowledge/diff", asAdmin, (req, res) => {
+  const from = String(req.query.from || "");
+  const to = String(req.query.to || "live");
+  if (!from) return res.status(400).json({ error: "missing_from" });
+  try {
+    res.json(diffVersions(from, to));
+  } catch (err) {
+    res.status(404).json({ error: "unknown_version", details: err.message });
+  }
+});
+
+// { version } → make that snapshot the live knowledge (queued behind any running publish)
+app.post("/admin/knowledge/rollback", asAdmin, async (req, res) => {
+  const id = String(req.body?.version || "");
+  if (!id) return res.status(400).json({ error: "missing_version" });
+  if (!listVersions().some((v) => v.id === id)) return res.status(404).json({ error: "unknown_version", details: id });
+  try {
+    const job = _publishing.then(() => rollbackKnowledge(id));
+    _publishing = job.catch(() => {});
+    res.json(await job);
+  } catch (err) {
+    console.error("Knowledge rollback error:", err);
+    res.status(409).json({ error: "rollback_rejected", details: err.message, version: knowledgeVersion() });
+  }
 });
 
 /* ---------- Boot ---------- */
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
+  getIndex(); // build or load the retrieval index before the first /ask
+  try { snapshotKnowledge({ source: "boot" }); } // no-op when the newest snapshot matches
+  catch (e) { console.warn(`[knowledgeVersions] Snapshot failed: ${e.message}`); }
+  if (!/^(0|false|no)$/i.test(process.env.KNOWLEDGE_WATCH || "")) watchKnowledge();
+  if (authDisabled()) {
+    console.warn("[auth] AUTH_DISABLED is set: agent routes are open, lead/admin routes are off");
+  } else if (!authConfigured()) {
+    console.warn(`[auth] No API keys (${KEYS_FILE}), JWT_SECRET or ADMIN_TOKEN: every request will be rejected (set AUTH_DISABLED=1 to run open)`);
+  }
   console.log(`QC Buddy backend running on http://localhost:${PORT}`);
 });
 
@@ -0,0 +1,78 @@
+// sessions.js — per-session conversation memory (in-process, TTL) + follow-up → standalone question
+import { tokenize } from "./searchIndex.js";
+import { marketOf, MARKET_WORDS_SOURCE } from "./markets.js";
+
+const TTL_MS = Number(process.env.SESSION_TTL_MS || 30 * 60_000);
+const MAX_TURNS = Number(process.env.SESSION_MAX_TURNS || 6);
+const MAX_SESSIONS = Number(process.env.SESSION_MAX || 1000);
+const VALID_ID = /^[\w-]{8,64}$/;
+
+/* ---------- Store ---------- */
+const _sessions = new Map(); // id → { id, owner, turns: [{ question, standalone, answer, market, at }], createdAt, updatedAt }
+
+const expired = (s) => Date.now() - s.updatedAt > TTL_MS;
+
+setInterval(() => {
+  for (const [id, s] of _sessions) if (expired(s)) _sessions.delete(id);
+}, 60_000).unref();
+
+export const isSessionId = (id) => VALID_ID.test(String(id || ""));
+
+// owner: the caller's auth id; another caller's session reads as missing
+export function getSession(id, owner = null) {
+  const s = _sessions.get(id);
+  if (!s || expired(s)) {
+    _sessions.delete(id);
+    return null;
+  }
+  return s.owner === owner ? s : null;
+}
+
+export function addTurn(id, owner, turn) {
+  let s = getSession(id, owner);
+  if (!s) {
+    if (_sessions.has(id)) return null; // id taken by someone else
+    if (_sessions.size >= MAX_SESSIONS) _sessions.delete(_sessions.keys().next().value);
+    s = { id, owner, turns: [], createdAt: Date.now(), updatedAt: Date.now() };
+    _sessions.set(id, s);
+  }
+  s.turns.push({ ...turn, at: new Date().toISOString() });
+  if (s.turns.length > MAX_TURNS) s.turns.splice(0, s.turns.length - MAX_TURNS);
+  s.updatedAt = Date.now();
+  // re-insert so Map order stays least-recently-used first
+  _sessions.delete(id);
+  _sessions.set(id, s);
+  return s;
+}
+
+export function clearSession(id, owner = null) {
+  return !!getSession(id, owner) && _sessions.delete(id);
+}
+
+export function sessionView(s) {
+  return { id: s.id, turns: s.turns, expiresAt: new Date(s.updatedAt + TTL_MS).toISOString() };
+}
+
+/* ---------- Follow-ups ---------- */
+const LEAD_IN = /^(and|also|but|so|ok(?:ay)?|what about|how about|same for|what if)\b[\s,]*/i;
+const PRONOUN = /\b(it|its|that|this|those|these|they|them|there|same)\b/i;
+const MARKET_WORDS = new RegExp(`\\b(?:(?:in|for)\\s+)?(?:the\\s+)?(${MARKET_WORDS_SOURCE})\\b`, "gi");
+
+// "and for KSA?" after "bank details in UAE" → "bank details in KSA"; "what about the max?" → previous + "max".
+// Rule-based on purpose: no extra LLM call, same result with AI on or off.
+export function standaloneQuestion(question, turns = []) {
+  const q = String(question || "").trim();
+  const prev = turns[turns.length - 1]?.standalone;
+  if (!prev) return q;
+
+  // short is not enough ("IBAN checker?" is a new question): only an explicit lead-in,
+  // a pronoun pointing back, or a bare market ("for KSA?") continues the previous turn
+  const rest = q.replace(LEAD_IN, "").replace(/^(for|in)\s+/i, "").replace(/[?؟.!]+$/, "").trim();
+  const market = marketOf(rest);
+  const onlyMarket = market && market !== "ALL" && !rest.replace(MARKET_WORDS, "").trim();
+  const followUp = LEAD_IN.test(q) || onlyMarket || (PRONOUN.test(q) && tokenize(q).length <= 5);
+  if (!followUp) return q;
+
+  if (onlyMarket) return `${prev.replace(MARKET_WORDS, "").replace(/[?؟]+$/, "").replace(/\s{2,}/g, " ").trim()} in ${rest}`;
+  return `${prev.replace(/[?؟]+$/, "")} ${rest}`.trim();
+}
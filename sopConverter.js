@@ -0,0 +1,386 @@
+// sopConverter.js — .docx/.pptx/.xlsx SOPs → knowledge JSON (used by make_knowledge.mjs and the admin upload)
+import fs from "fs";
+import path from "path";
+import fg from "fast-glob";
+import mammoth from "mammoth";
+import AdmZip from "adm-zip";
+import { XMLParser } from "fast-xml-parser";
+import { KNOWLEDGE_DIR, chunksFromJson, reloadKnowledge } from "./knowledgeLoader.js";
+import { parseXlsxFile } from "./xlsxTools.js";
+import { recordCreatedFiles } from "./knowledgeVersions.js";
+
+export const RAW_DIR = path.resolve(process.env.KNOWLEDGE_RAW_DIR || "./knowledge_raw");
+export const OUT_DIR = KNOWLEDGE_DIR;
+export const SOP_EXTENSIONS = [".docx", ".pptx", ".xlsx"];
+
+// Topic & market hints (extend as needed)
+// whole words only ("cr" must not hit "description", "sa" must not hit "visa"); matched against detectHay()
+const TOPIC_HINTS = [
+  { rx: /\b(company|step by step|cr|trn|vat|license)\b/i, topic: "company" },
+  { rx: /\b(tag(s|ging)?|cuisines?|policy|g1|g2)\b/i, topic: "tags" },
+  { rx: /\b(writing|capital\w*|custom\w*)\b/i, topic: "writing" },
+  { rx: /\b(images?|hero|1200|1125|780|assets?)\b/i, topic: "images" },
+  { rx: /\b(zones?|radius|discovery|coverage)\b/i, topic: "zones" }
+];
+const MARKET_HINTS = [
+  { rx: /\b(uae|dubai|abu ?dhabi|sharjah|ajman)\b/i, market: "AE" },
+  { rx: /\b(jordan|amman|irbid|zarqa|jo)\b/i, market: "JO" },
+  { rx: /\b(ksa|riyadh|jeddah|sa)\b/i, market: "SA" }
+];
+
+// chunking sizes
+const MAX_CHARS_SMART = 1200; // aim for ~1–2 paragraphs per chunk
+const MAX_CHARS_FULL  = 3000;
+
+// ---------- helpers ----------
+function norm(s){ return String(s || "").replace(/\u00A0/g," ").replace(/\s{2,}/g," ").trim(); }
+
+// file name separators count as spaces so "Company_SOP.docx" / "step-by-step" match whole words
+const detectHay = (name, text) => `${String(name).replace(/[_\-.]+/g, " ")}\n${text}`.toLowerCase().replace(/\s+/g, " ");
+
+function detectTopic(name, text) {
+  const hay = detectHay(name, text);
+  for (const h of TOPIC_HINTS) if (h.rx.test(hay)) return h.topic;
+  return "misc";
+}
+function detectMarket(name, text) {
+  const hay = detectHay(name, text);
+  for (const h of MARKET_HINTS) if (h.rx.test(hay)) return h.market;
+  return "ALL";
+}
+function outFileForTopic(topic) {
+  const map = {
+    company: "company_sop.json",
+    tags: "tags_sop.json",
+    writing: "writing_sop.json",
+    images: "images_sop.json",
+    zones: "zones_sop.json",
+    misc: "misc_sop.json",
+  };
+  return map[topic] || "misc_sop.json";
+}
+
+function pushEntry(buckets, topic, entry){
+  const outFile = outFileForTopic(topic);
+  if (!buckets.has(outFile)) buckets.set(outFile, []);
+  buckets.get(outFile).push(entry);
+}
+
+function splitSmartBySentences(text, maxChars) {
+  const parts = [];
+  let buf = "";
+  const sentences = String(text).split(/(?<=[.!?])\s+(?=[^\s])/g);
+  for (const s of sentences) {
+    if ((buf + " " + s).length > maxChars) {
+      if (buf.trim()) parts.push(buf.trim());
+      buf = s;
+    } else {
+      buf = buf ? buf + " " + s : s;
+    }
+  }
+  if (buf.trim()) parts.push(buf.trim());
+  return parts;
+}
+
+function asBullets(array) {
+  return array.map(t => (t.startsWith("•") || t.startsWith("-")) ? t : `• ${t}`).join("\n");
+}
+
+// ---------- DOCX ----------
+async function docxToSections(file, name = path.basename(file)) {
+  // Use mammoth to get raw text; we will approximate sections by headings/bullets
+  const res = await mammoth.convertToMarkdown({ path: file }); // markdown preserves headers/lists
+  const md = String(res.value || "").trim();
+
+  // Split by headings (## or #). Keep heading line as section title.
+  const blocks = md.split(/\n(?=#+\s)/g).filter(Boolean);
+
+  const sections = [];
+  let sectionIdx = 0;
+  for (const block of blocks) {
+    const lines = block.split("\n").filter(Boolean);
+    const heading = lines[0].replace(/^#+\s*/,"").trim();
+    const body = lines.slice(1).join("\n");
+    const clean = body
+      .replace(/^\s*-\s+/gm, "• ")
+      .replace(/^\s*\*\s+/gm, "• ")
+      .replace(/\s+$/g, "")
+      .trim();
+    sections.push({
+      title: `${name} — ${heading || "Section " + (++sectionIdx)}`,
+      text: clean || heading
+    });
+  }
+
+  // If file had no headings, fallback to entire doc
+  if (!sections.length && md) {
+    sections.push({
+      title: `${name} — Document`,
+      text: md.replace(/^\s*-\s+/gm, "• ").replace(/^\s*\*\s+/gm, "• ")
+    });
+  }
+  return sections.map(s => ({ ...s, text: norm(s.text) })).filter(s=>s.text);
+}
+
+// ---------- PPTX ----------
+function parsePptxToSlides(file, name = path.basename(file)) {
+  // unzip and parse slide XMLs for <a:t> text and table cells
+  const zip = new AdmZip(file);
+  const entries = zip.getEntries();
+  const parser = new XMLParser({ ignoreAttributes:false, trimValues:true });
+
+  const readXml = (p) => {
+    try { return parser.parse(zip.readAsText(p)); }
+    catch { return null; }
+  };
+
+  const slidePaths = entries.map(e=>e.entryName).filter(p => p.startsWith("ppt/slides/slide") && p.endsWith(".xml"));
+  const slideTitles = new Map(); // slideN -> title text (if in layout)
+  const slides = [];
+
+  // helper: collect all a:t nodes
+  const collectText = (node, out=[]) => {
+    if (!node || typeof node !== "object") return out;
+    for (const [k,v] of Object.entries(node)) {
+      if (k === "a:t" && typeof v === "string") out.push(v);
+      else if (typeof v === "object") collectText(v, out);
+    }
+    return out;
+  };
+
+  for (const p of slidePaths) {
+    const xml = readXml(p);
+    if (!xml) continue;
+    const texts = collectText(xml, []);
+    const idx = p.match(/slide(\d+)\.xml/i)?.[1] || "?";
+    slides.push({ index: Number(idx), title: `Slide ${idx}`, bullets: texts });
+  }
+
+  slides.sort((a,b)=>a.index-b.index);
+  return slides.map(s => ({
+    title: `${name} — ${s.title}`,
+    text: asBullets(s.bullets.map(norm).filter(Boolean))
+  })).filter(s=>s.text);
+}
+
+// ---------- XLSX ----------
+// sheet name → rows keyed by header
+async function readXlsx(filePath) {
+  const { sheets } = await parseXlsxFile(filePath);
+  return Object.fromEntries(sheets.map((s) => [s.name, s.rows]));
+}
+
+function buildGlossaryJSON(xlsxData) {
+  const out = { AE: [], JO: [] };
+  for (const rows of Object.values(xlsxData)) {
+    for (const r of rows) {
+      const en = norm(r.en || r.EN || r.english || r.English || "");
+      const ar = norm(r.ar || r.AR || r.arabic || r.Arabic || "");
+      const m  = norm(r.market || r.Market || r.country || r.Country || "");
+      if (!en || !ar) continue;
+      const M = m.toUpperCase();
+      if (!M) { out.AE.push({ en, ar }); out.JO.push({ en, ar }); continue; }
+      if (M.includes("AE")) out.AE.push({ en, ar });
+      if (M.includes("JO")) out.JO.push({ en, ar });
+    }
+  }
+  return out;
+}
+
+function buildTagsJSON(xlsxData) {
+  const result = { cuisine: [], extra: [] };
+  for (const rows of Object.values(xlsxData)) {
+    for (const r of rows) {
+      const tag = norm(r.tag || r.Tag || r.TAG);
+      const type = norm(r.type || r.Type).toLowerCase();
+      const keywords = norm(r.keywords || r.Keywords)
+        .toLowerCase().split(",").map(s=>s.trim()).filter(Boolean);
+      if (!tag) continue;
+      const rec = { tag, keywords };
+      if (type.includes("cuisine")) result.cuisine.push(rec); else result.extra.push(rec);
+    }
+  }
+  return result;
+}
+
+// ---------- convert ----------
+// files: paths or { path, name } (name decides xlsx routing and titles). Returns { outputs: { file: json }, log }
+// smart: preserve every detail but split by sections, limit chunk length
+// full:  keep everything verbatim per slide/section with minimal splitting
+export async function convertSopFiles(files, { mode = "smart" } = {}) {
+  const buckets = new Map(); // out file -> entries
+  const outputs = {};
+  const log = [];
+
+  for (const f of files) {
+    const file = typeof f === "string" ? f : f.path;
+    const name = typeof f === "string" ? path.basename(f) : f.name;
+
+    // Excel first (glossary / tags / zone extensions)
+    if (/\.xlsx$/i.test(name)) {
+      const data = await readXlsx(file);
+      const lower = name.toLowerCase();
+
+      if (lower.includes("glossary")) {
+        const glossary = buildGlossaryJSON(data);
+        outputs["glossary.json"] = glossary;
+        log.push(`glossary.json — AE:${glossary.AE.length} JO:${glossary.JO.length}`);
+        continue;
+      }
+      if (lower.includes("cuisine") || lower.includes("tag")) {
+        const tags = buildTagsJSON(data);
+        outputs["tags.json"] = tags;
+        log.push(`tags.json — cuisine:${tags.cuisine.length} extra:${tags.extra.length}`);
+        continue;
+      }
+      // If you need zone_extensions.json later, add similar handler here.
+      log.push(`(xlsx not recognized pattern): ${name}`);
+      continue;
+    }
+
+    // DOCX / PPTX → sections
+    let sections = [];
+    try {
+      if (/\.docx$/i.test(name)) sections = await docxToSections(file, name);
+      else if (/\.pptx$/i.test(name)) sections = parsePptxToSlides(file, name);
+    } catch (e) {
+      log.push(`Skipping ${name}: ${e.message}`);
+      continue;
+    }
+
+    if (!sections.length) continue;
+
+    for (const sec of sections) {
+      const title = sec.title;
+      const fullText = sec.text;
+      const market = detectMarket(name, fullText);
+      const topic = detectTopic(name, fullText);
+
+      if (mode === "full") {
+        pushEntry(buckets, topic, { title, topic, market, text: fullText });
+        continue;
+      }
+
+      // SMART mode: keep headings & bullets, but split long bodies by sentences
+      const maxLen = MAX_CHARS_SMART;
+      if (fullText.length <= maxLen) {
+        pushEntry(buckets, topic, { title, topic, market, text: fullText });
+      } else {
+        const parts = splitSmartBySentences(fullText, maxLen);
+        parts.forEach((p, idx) =>
+          pushEntry(buckets, topic, {
+            title: `${title} (part ${idx+1})`,
+            topic, market, text: p
+          })
+        );
+      }
+    }
+
+    log.push(`${name} → ${sections.length} section(s)`);
+  }
+
+  for (const [outFile, entries] of buckets.entries()) {
+    // stable ordering: market > title
+    entries.sort((a,b)=>
+      (a.market||"").localeCompare(b.market||"") ||
+      (a.title||"").localeCompare(b.title||"")
+    );
+    outputs[outFile] = entries;
+  }
+  return { outputs, log };
+}
+
+export async function listRawFiles(dir = RAW_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fg(SOP_EXTENSIONS.map((e) => `**/*${e}`), { cwd: dir, absolute: true });
+}
+
+// ---------- validate / write ----------
+const MARKETS = new Set(["ALL", "AE", "JO", "SA"]);
+
+// problems that should stop a publish (empty/garbled conversion), [] when fine
+export function validateOutputs(outputs) {
+  const errors = [];
+  const files = Object.keys(outputs || {});
+  if (!files.length) errors.push("conversion produced no knowledge files");
+  for (const file of files) {
+    const json = outputs[file];
+    if (file === "glossary.json") {
+      const pairs = Object.values(json || {}).flat();
+      if (!pairs.length) errors.push("glossary.json: no EN/AR pairs (expected en/ar columns)");
+      else if (pairs.some((p) => !p?.en || !p?.ar)) errors.push("glossary.json: pair without en or ar");
+      continue;
+    }
+    if (file === "tags.json") {
+      if (!json?.cuisine?.length && !json?.extra?.length) errors.push("tags.json: no tags (expected tag/type/keywords columns)");
+      continue;
+    }
+    if (!Array.isArray(json) || !json.length) { errors.push(`${file}: no entries`); continue; }
+    const bad = json.filter((e) => typeof e?.title !== "string" || typeof e?.text !== "string" || !e.text.trim() || !MARKETS.has(e.market));
+    if (bad.length) errors.push(`${file}: ${bad.length} malformed entr${bad.length === 1 ? "y" : "ies"}`);
+    if (!chunksFromJson(json, file).length) errors.push(`${file}: no usable knowledge after loading`);
+  }
+  return errors;
+}
+
+// how much a knowledge output holds: EN/AR pairs, tags, or loaded chunks
+function outputSize(file, json) {
+  if (file === "glossary.json") return Object.values(json || {}).flat().length;
+  if (file === "tags.json") return (json?.cuisine?.length || 0) + (json?.extra?.length || 0);
+  return chunksFromJson(json, file).length;
+}
+
+// outputs that would replace an existing file with less in it → ["company_sop.json: 97 → 1 chunks"]
+export function shrinkingOutputs(outputs, dir = OUT_DIR) {
+  const out = [];
+  for (const [file, json] of Object.entries(outputs)) {
+    let current;
+    try { current = JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8")); }
+    catch { continue; }
+    const before = outputSize(file, current);
+    const after = outputSize(file, json);
+    if (after < before) out.push(`${file}: ${before} → ${after} ${file === "glossary.json" ? "pairs" : file === "tags.json" ? "tags" : "chunks"}`);
+  }
+  return out;
+}
+
+// each file via tmp + rename so a reader never sees half a file
+export function writeOutputs(outputs, dir = OUT_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  recordCreatedFiles(Object.keys(outputs).map((file) => path.join(dir, file))); // rollback may remove these
+  const written = [];
+  for (const [file, json] of Object.entries(outputs)) {
+    const target = path.join(dir, file);
+    const tmp = `${target}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(json, null, 2), "utf-8");
+    fs.renameSync(tmp, target);
+    written.push(target);
+  }
+  return written;
+}
+
+// ---------- publish (admin upload) ----------
+// uploads: [{ path, name }]. Converts the raw SOP set with the uploads replacing same-named files,
+// validates, writes the JSON, keeps the uploads as raw sources, then swaps the live knowledge.
+// An output smaller than the file it replaces needs confirm (a stray upload must not wipe an SOP).
+export async function publishSopFiles(uploads, { mode = "smart", confirm = false } = {}) {
+  const rejected = uploads.filter((u) => !SOP_EXTENSIONS.includes(path.extname(u.name).toLowerCase()));
+  if (rejected.length) {
+    return { ok: false, errors: rejected.map((u) => `${u.name}: only ${SOP_EXTENSIONS.join(", ")} files are accepted`) };
+  }
+
+  const replaced = new Set(uploads.map((u) => u.name.toLowerCase()));
+  const raw = (await listRawFiles()).filter((f) => !replaced.has(path.basename(f).toLowerCase()));
+  const { outputs, log } = await convertSopFiles([...raw, ...uploads], { mode });
+
+  const errors = validateOutputs(outputs);
+  if (errors.length) return { ok: false, errors, log };
+  const shrinking = shrinkingOutputs(outputs);
+  if (shrinking.length && !confirm) return { ok: false, confirmRequired: true, errors: shrinking, log };
+
+  fs.mkdirSync(RAW_DIR, { recursive: true });
+  for (const u of uploads) fs.copyFileSync(u.path, path.join(RAW_DIR, u.name));
+  const written = writeOutputs(outputs);
+  const { changed, version } = reloadKnowledge({ reason: "upload" });
+  return { ok: true, changed, version, written: written.map((f) => path.basename(f)), log };
+}
@@ -1,4 +1,4 @@
-// tagSuggestor.js
+// tagSuggestor.js — deterministic cuisine/tag suggestions from menu items (Tags SOP)
 import { loadTags } from "./knowledgeLoader.js";
 
 const FALLBACK = [
@@ -12,36 +12,135 @@ const FALLBACK = [
   { tag: "Breakfast",      keywords: ["pancake","omelette","egg","foul","fatteh","manakish"] },
 ];
 
-function score(items, defs) {
-  const docs = items.map(s => String(s||"").toLowerCase());
-  const scores = new Map();
+// Tags SOP thresholds
+const MAX_CUISINE_TAGS = 3;
+const CUISINE_TARGET_COVERAGE = 50; // cuisine tags together should reflect ~50% of the menu
+const MIN_CUISINE_COVERAGE = 15;    // below this a tag is noise, not a cuisine
+const TAG_TAG_COVERAGE = 30;        // each tag tag ~30% of items
+const MAX_EXTRA_TAGS = 3;
+
+// "Fast Food" only for true mass QSR chains
+const QSR_BRANDS = ["mcdonald", "burger king", "hardee", "kfc", "popeyes", "wendy", "subway", "domino", "pizza hut", "jack in the box"];
+const isFastFood = (tag) => /^fast\s*food$/i.test(String(tag).trim());
+
+export function isQsrOutlet(outletName = "") {
+  const n = String(outletName).toLowerCase();
+  return QSR_BRANDS.some((b) => n.includes(b));
+}
+
+function keywordRegex(kw) {
+  const esc = kw.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`\\b${esc}`, "i");
+}
+
+// % of items hit by at least one keyword of each tag, best first
+function coverage(items, defs) {
+  const rows = [];
   for (const { tag, keywords } of defs) {
-    let s = 0;
-    for (const kw of keywords) for (const it of docs) if (it.includes(kw)) s++;
-    if (s>0) scores.set(tag, (scores.get(tag)||0)+s);
+    const rx = keywords.filter(Boolean).map(keywordRegex);
+    if (!rx.length) continue;
+    const hits = items.filter((it) => rx.some((r) => r.test(it))).length;
+    if (!hits) continue;
+    const prev = rows.find((r) => r.tag === tag);
+    if (prev) { prev.items = Math.max(prev.items, hits); continue; }
+    rows.push({ tag, items: hits });
   }
-  return [...scores.entries()].sort((a,b)=>b[1]-a[1]);
+  return rows
+    .map((r) => ({ ...r, coverage: Math.round((r.items / items.length) * 100) }))
+    .sort((a, b) => b.items - a.items);
 }
 
-export function suggestTagsFromMenu({ items, market="AUTO" }) {
-  const { cuisine } = loadTags();
-  const defs = (cuisine?.length ? cuisine : []).map(d => ({
-    tag: d.tag, keywords: (d.keywords||[]).map(String)
-  }));
+// share of items covered by any of the given tags
+function combinedCoverage(items, defs, tags) {
+  const rx = defs.filter((d) => tags.includes(d.tag)).flatMap((d) => d.keywords.map(keywordRegex));
+  if (!items.length || !rx.length) return 0;
+  return Math.round((items.filter((it) => rx.some((r) => r.test(it))).length / items.length) * 100);
+}
+
+function tagDefs() {
+  const { cuisine = [], extra = [] } = loadTags();
+  const norm = (list) => (list || []).map((d) => ({ tag: d.tag, keywords: (d.keywords || []).map((k) => String(k).toLowerCase()) }));
+  const defs = norm(cuisine);
   // add fallback if sheet is weak/empty
   if (defs.length < 5) defs.push(...FALLBACK);
+  return { cuisine: defs, extra: norm(extra) };
+}
+
+// Coverage % of arbitrary tags (e.g. AI suggestions) against the known keyword lists
+export function tagCoverage(items, tags) {
+  const { cuisine, extra } = tagDefs();
+  const uniq = Array.from(new Set(items.map((s) => String(s || "").trim().toLowerCase()).filter(Boolean)));
+  const known = coverage(uniq, [...cuisine, ...extra]);
+  return tags.map((tag) => {
+    const hit = known.find((k) => k.tag.toLowerCase() === String(tag).toLowerCase());
+    return hit ? { tag, items: hit.items, coverage: hit.coverage } : { tag, items: null, coverage: null };
+  });
+}
+
+// share of the menu the given cuisine tags cover together (AI or rule tags alike)
+export function totalTagCoverage(items, tags) {
+  const uniq = Array.from(new Set(items.map((s) => String(s || "").trim().toLowerCase()).filter(Boolean)));
+  const wanted = new Set(tags.map((t) => String(t).toLowerCase()));
+  const { cuisine } = tagDefs();
+  return combinedCoverage(uniq, cuisine, cuisine.filter((d) => wanted.has(d.tag.toLowerCase())).map((d) => d.tag));
+}
+
+export function suggestTagsFromMenu({ items, market = "AUTO", outletName = "", qsr }) {
+  const { cuisine, extra } = tagDefs();
+  const fastFoodOk = qsr ?? isQsrOutlet(outletName);
 
   // dedupe items
-  const uniq = Array.from(new Set(items.map(s=>String(s||"").trim()).filter(Boolean)));
+  const uniq = Array.from(new Set(items.map((s) => String(s || "").trim().toLowerCase()).filter(Boolean)));
+  if (!uniq.length) return { cuisineTags: [], extraTags: [], coverage: [], reasoning: [], notes: ["No items provided."] };
 
-  const ranked = score(uniq, defs);
-  const cuisineTags = ranked.slice(0,3).map(([tag])=>tag);
+  let ranked = coverage(uniq, cuisine);
+  // outlet name is a hint of the main cuisine ("Pasta Italy" → Pasta)
+  if (outletName) {
+    const name = String(outletName).toLowerCase();
+    const hinted = cuisine.filter((d) => d.keywords.some((k) => keywordRegex(k).test(name)) || name.includes(d.tag.toLowerCase()));
+    for (const h of hinted) {
+      const r = ranked.find((x) => x.tag === h.tag);
+      if (r) r.outletHint = true;
+      else ranked.push({ tag: h.tag, items: 0, coverage: 0, outletHint: true });
+    }
+    ranked.sort((a, b) => (b.outletHint ? 1 : 0) - (a.outletHint ? 1 : 0) || b.items - a.items);
+  }
 
-  const reasoning = ranked.slice(0,3).map(([tag,s])=>`Detected "${tag}" signals ${s}× across items`);
   const notes = [];
-  if (market==="AE"||market==="AUTO") notes.push("UAE: Up to 3 cuisine tags; tags should reflect ~50% of the menu.");
-  if (market==="JO"||market==="AUTO") notes.push("Jordan: Don’t combine unrelated cuisines together.");
-  notes.push("Do not use 'Fast Food' unless true mass QSR (McDonald's, Burger King).");
+  if (!fastFoodOk && ranked.some((r) => isFastFood(r.tag))) {
+    ranked = ranked.filter((r) => !isFastFood(r.tag));
+    notes.push("Dropped 'Fast Food': only for true mass QSR chains (McDonald's, Burger King).");
+  }
+
+  const cuisineTags = ranked
+    .filter((r) => r.outletHint || r.coverage >= MIN_CUISINE_COVERAGE)
+    .slice(0, MAX_CUISINE_TAGS)
+    .map((r) => r.tag);
+  const total = combinedCoverage(uniq, cuisine, cuisineTags);
+
+  const extraTags = coverage(uniq, extra)
+    .filter((r) => r.coverage >= TAG_TAG_COVERAGE && (fastFoodOk || !isFastFood(r.tag)))
+    .slice(0, MAX_EXTRA_TAGS)
+    .map((r) => r.tag);
+
+  const reasoning = ranked
+    .filter((r) => cuisineTags.includes(r.tag))
+    .map((r) => `"${r.tag}" covers ${r.coverage}% of items (${r.items}/${uniq.length})${r.outletHint ? " + outlet name hint" : ""}`);
+
+  if (cuisineTags.length && total < CUISINE_TARGET_COVERAGE) {
+    notes.push(`Cuisine tags cover ${total}% of the menu (target ~${CUISINE_TARGET_COVERAGE}%); confirm the main value proposition.`);
+  }
+  if (market === "AE" || market === "AUTO") notes.push("UAE: Up to 3 cuisine tags; tags should reflect ~50% of the menu.");
+  if (market === "JO" || market === "AUTO") notes.push("Jordan: Don’t combine unrelated cuisines together.");
+  if (fastFoodOk) notes.push("QSR outlet: 'Fast Food' allowed.");
+  else notes.push("Do not use 'Fast Food' unless true mass QSR (McDonald's, Burger King).");
 
-  return { cuisineTags, extraTags: [], reasoning, notes };
+  return {
+    cuisineTags,
+    extraTags,
+    coverage: ranked.map(({ tag, items: n, coverage: c }) => ({ tag, items: n, coverage: c })),
+    totalCoverage: total,
+    reasoning,
+    notes,
+  };
 }
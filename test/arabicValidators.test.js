@@ -0,0 +1,50 @@
+// Arabic side of a menu row: spacing, alef/yaa/taa marbuta variants, untranslated values
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkArabicSpacing, checkArabicLetterVariants, checkUntranslated, checkMissingTranslation } from "../arabicValidators.js";
+import { normalizeArabic } from "../textTools.js";
+
+const glossary = { AE: [{ en: "Rice", ar: "أرز" }, { en: "Chicken Shawarma", ar: "شاورما دجاج" }] };
+
+test("normalizeArabic folds alef, yaa and taa marbuta variants, tatweel and harakat", () => {
+  assert.equal(normalizeArabic("إأآٱ"), "اااا");
+  assert.equal(normalizeArabic("مستشفى"), "مستشفي");
+  assert.equal(normalizeArabic("وجبة"), "وجبه");
+  assert.equal(normalizeArabic("دجـــاج  مَشْوِي"), "دجاج مشوي");
+});
+
+test("spacing: tatweel and double spaces are removed, Latin text is left alone", () => {
+  const [issue] = checkArabicSpacing("دجـــاج  مشوي", "item_localized_name");
+  assert.equal(issue.fix, "دجاج مشوي");
+  assert.equal(issue.autoFix, true);
+  assert.deepEqual(checkArabicSpacing("دجاج مشوي", "item_localized_name"), []);
+  assert.deepEqual(checkArabicSpacing("Grilled  chicken", "item_localized_name"), []);
+});
+
+test("letter variants: ى and ة inside a word, and glossary terms spelt with another alef", () => {
+  const [inner] = checkArabicLetterVariants("حلوىات مكسرات", "item_localized_name");
+  assert.equal(inner.fix, "حلويات مكسرات");
+  const [taa] = checkArabicLetterVariants("مةبل", "item_localized_name");
+  assert.equal(taa.fix, "متبل");
+
+  const [alef] = checkArabicLetterVariants("ارز بالدجاج", "item_localized_name", { glossary, market: "AE" });
+  assert.equal(alef.fix, "أرز بالدجاج");
+  assert.deepEqual(checkArabicLetterVariants("أرز بالدجاج", "item_localized_name", { glossary, market: "AE" }), []);
+  assert.deepEqual(checkArabicLetterVariants("وجبة مستشفى", "item_localized_name"), []);
+});
+
+test("identical EN and AR is untranslated; the glossary fills the fix when it knows the term", () => {
+  const [same] = checkUntranslated("Rice", "rice", "item_localized_name", { glossary, market: "AE" });
+  assert.equal(same.type, "untranslated");
+  assert.equal(same.fix, "أرز");
+  assert.equal(same.autoFix, true);
+
+  const [unknown] = checkUntranslated("Fries", "Fries", "item_localized_name", { glossary, market: "AE" });
+  assert.equal(unknown.autoFix, false);
+  assert.deepEqual(checkUntranslated("Rice", "أرز", "item_localized_name"), []);
+});
+
+test("missing Arabic: suggested from the glossary on a whole-value match only", () => {
+  assert.equal(checkMissingTranslation("Chicken Shawarma", "", "item_localized_name", { glossary, market: "AE" })[0].fix, "شاورما دجاج");
+  assert.equal(checkMissingTranslation("Chicken Shawarma Wrap", "", "item_localized_name", { glossary, market: "AE" })[0].autoFix, false);
+});
@@ -0,0 +1,29 @@
+// mapLimit: bounded concurrency, results in input order
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mapLimit } from "../asyncTools.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+test("results keep input order however the calls finish", async () => {
+  const out = await mapLimit([30, 10, 20], 3, async (ms, i) => {
+    await sleep(ms);
+    return `${i}:${ms}`;
+  });
+  assert.deepEqual(out, ["0:30", "1:10", "2:20"]);
+});
+
+test("never more than `limit` calls in flight", async () => {
+  let running = 0;
+  let peak = 0;
+  await mapLimit(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+    peak = Math.max(peak, ++running);
+    await sleep(5);
+    running--;
+  });
+  assert.equal(peak, 3);
+});
+
+test("an empty list resolves to an empty array", async () => {
+  assert.deepEqual(await mapLimit([], 4, async () => 1), []);
+});
@@ -0,0 +1,95 @@
+// Role gating: API keys with agent < lead < admin, fail-closed key store, AUTH_DISABLED open mode
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "qcb-auth-"));
+process.env.API_KEYS_FILE = path.join(dir, "api_keys.json");
+delete process.env.JWT_SECRET;
+delete process.env.ADMIN_TOKEN;
+delete process.env.AUTH_DISABLED;
+const { requireRole, createKey, saveKeys } = await import("../auth.js");
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// runs the middleware → { status, body, auth, passed }
+function call(role, key) {
+  const headers = key ? { authorization: `Bearer ${key}` } : {};
+  const req = { get: (h) => headers[h.toLowerCase()] };
+  const out = { status: 200, body: null, auth: null, passed: false };
+  const res = {
+    status(code) { out.status = code; return this; },
+    json(body) { out.body = body; return this; },
+  };
+  requireRole(role)(req, res, () => { out.passed = true; });
+  out.auth = req.auth ?? null;
+  return out;
+}
+
+test("AUTH_DISABLED: anonymous agents pass, lead and admin routes are off", () => {
+  process.env.AUTH_DISABLED = "1";
+  try {
+    const agent = call("agent");
+    assert.equal(agent.passed, true);
+    assert.deepEqual(agent.auth, { id: null, name: "anonymous", role: "agent", via: "open" });
+    for (const role of ["lead", "admin"]) {
+      const r = call(role);
+      assert.equal(r.passed, false);
+      assert.equal(r.status, 503);
+      assert.equal(r.body.error, "auth_disabled");
+    }
+  } finally {
+    delete process.env.AUTH_DISABLED;
+  }
+});
+
+test("fails closed without a usable key store: no file, malformed file, every key revoked", () => {
+  assert.equal(call("agent").status, 401);
+
+  fs.writeFileSync(process.env.API_KEYS_FILE, "{ not json");
+  assert.equal(call("agent").status, 401);
+
+  const { key, entry } = createKey("old", "admin");
+  saveKeys([{ ...entry, revoked: new Date().toISOString() }]);
+  assert.equal(call("agent").status, 401);
+  assert.equal(call("agent", key).status, 401);
+});
+
+test("with keys: missing or unknown credentials are 401", () => {
+  const { entry } = createKey("ops", "agent");
+  saveKeys([entry]);
+  assert.equal(call("agent").status, 401);
+  assert.equal(call("agent", "qcb_not-a-key").status, 401);
+});
+
+test("with keys: a role reaches its own level and below, not above", () => {
+  const agent = createKey("sara", "agent");
+  const lead = createKey("omar", "lead");
+  const admin = createKey("root", "admin");
+  saveKeys([agent.entry, lead.entry, admin.entry]);
+
+  const ok = call("agent", agent.key);
+  assert.equal(ok.passed, true);
+  assert.equal(ok.auth.id, "key:sara");
+  assert.equal(ok.auth.role, "agent");
+
+  const denied = call("lead", agent.key);
+  assert.equal(denied.passed, false);
+  assert.equal(denied.status, 403);
+  assert.deepEqual(denied.body, { error: "forbidden", required: "lead" });
+
+  assert.equal(call("agent", lead.key).passed, true);
+  assert.equal(call("lead", lead.key).passed, true);
+  assert.equal(call("admin", lead.key).status, 403);
+  assert.equal(call("admin", admin.key).passed, true);
+});
+
+test("with keys: a revoked key is rejected", () => {
+  const live = createKey("live", "lead");
+  const gone = createKey("gone", "lead");
+  saveKeys([live.entry, { ...gone.entry, revoked: true }]);
+  assert.equal(call("lead", live.key).passed, true);
+  assert.equal(call("lead", gone.key).status, 401);
+});
@@ -0,0 +1,15 @@
+// The API key store is private wherever it sits: by its configured path or by name
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+
+process.env.API_KEYS_FILE = path.resolve("/srv/qc/secrets/keys.json");
+const { KEYS_FILE, isPrivateFile } = await import("../config.js");
+
+test("the configured key file and any api_keys.json are private", () => {
+  assert.equal(KEYS_FILE, path.resolve("/srv/qc/secrets/keys.json"));
+  assert.ok(isPrivateFile(KEYS_FILE));
+  assert.ok(isPrivateFile("keys.json"));
+  assert.ok(isPrivateFile("/any/dir/API_KEYS.json"));
+  assert.ok(!isPrivateFile("/srv/qc/knowledge/images_sop.json"));
+});
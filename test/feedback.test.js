@@ -0,0 +1,122 @@
+// Feedback store (answer log, feedback validation, uncovered report) and the /feedback + /reports/unanswered routes
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "qcb-feedback-"));
+// feedback.js reads DATA_DIR at load
+process.env.DATA_DIR = path.join(tmp, "store");
+const { recordAnswer, recordFeedback, uncoveredReport } = await import("../feedback.js");
+
+const PORT = 31000 + Math.floor(Math.random() * 2000);
+const BASE = `http://127.0.0.1:${PORT}`;
+const ADMIN_TOKEN = "feedback-test-admin";
+let server;
+
+before(async () => {
+  server = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      DATA_DIR: path.join(tmp, "data"),
+      RAG_INDEX_PATH: path.join(tmp, "rag_index.json"),
+      KNOWLEDGE_DIR: path.join(tmp, "knowledge"),
+      KNOWLEDGE_SNAPSHOT_DIR: path.join(tmp, "knowledge_versions"),
+      UPLOAD_DIR: path.join(tmp, "uploads"),
+      LLM_PROVIDER: "off",
+      ADMIN_TOKEN,
+      AUTH_DISABLED: "",
+    },
+    stdio: "ignore",
+  });
+  const deadline = Date.now() + 60_000;
+  while (Date.now() < deadline) {
+    try {
+      if ((await fetch(`${BASE}/health`)).ok) return;
+    } catch {}
+    await new Promise((r) => setTimeout(r, 250));
+  }
+  throw new Error("server did not start");
+});
+
+after(() => {
+  server?.kill();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const asAdmin = { "Content-Type": "application/json", "X-Admin-Token": ADMIN_TOKEN };
+const post = (route, body) => fetch(`${BASE}${route}`, { method: "POST", headers: asAdmin, body: JSON.stringify(body) });
+
+/* ---------- Store ---------- */
+test("uncovered and low-confidence answers are logged; well-covered ones are not", () => {
+  const gap = recordAnswer({ question: "spaceship menu rules?", market: "AE", caller: "key:a" }, { sources: [], confidence: 0 });
+  assert.ok(gap.answerId);
+  recordAnswer({ question: "logo image size?", market: "AE", caller: "key:a" }, { sources: [{ id: "images_sop:logo" }], confidence: 0.95 });
+
+  const report = uncoveredReport();
+  assert.equal(report.questions, 1);
+  assert.equal(report.topics[0].unanswered, 1);
+  assert.deepEqual(report.topics[0].examples, ["spaceship menu rules?"]);
+});
+
+test("feedback on a known answer keeps the sources that answer used", () => {
+  const { answerId } = recordAnswer({ question: "hero image size?", market: "AE" }, { sources: [{ id: "images_sop:hero" }], confidence: 0.9 });
+  const { entry } = recordFeedback({ answerId, rating: "down", correction: "  It is 1125x780.  " }, "key:a");
+  assert.equal(entry.question, "hero image size?");
+  assert.deepEqual(entry.sourceIds, ["images_sop:hero"]);
+  assert.equal(entry.correction, "It is 1125x780.");
+
+  const { feedback } = uncoveredReport();
+  assert.equal(feedback.down, 1);
+  assert.deepEqual(feedback.downvotedSources, [{ id: "images_sop:hero", count: 1 }]);
+  assert.equal(feedback.corrections[0].correction, "It is 1125x780.");
+});
+
+test("feedback without a known answer needs the question", () => {
+  assert.deepEqual(recordFeedback({ answerId: "expired", rating: "up" }, null), { error: "unknown_answer" });
+  const { entry } = recordFeedback({ rating: "up", question: "tax in KSA?", sourceIds: ["tax_sop:ksa"] }, null);
+  assert.equal(entry.question, "tax in KSA?");
+  assert.deepEqual(entry.sourceIds, ["tax_sop:ksa"]);
+});
+
+test("non-string fields and a bad rating are rejected, not stored", () => {
+  const before = uncoveredReport().feedback;
+  assert.deepEqual(recordFeedback({ rating: "meh", question: "x" }, null), { error: "invalid_rating" });
+  for (const bad of [{ question: { a: 1 } }, { question: "x", correction: ["no"] }, { question: "x", answerId: 7 }, { question: "x", sourceIds: "tax_sop:ksa" }, { question: "x", sourceIds: [{}] }]) {
+    assert.deepEqual(recordFeedback({ rating: "down", ...bad }, null), { error: "invalid_feedback" }, JSON.stringify(bad));
+  }
+  const after = uncoveredReport().feedback;
+  assert.deepEqual([after.up, after.down], [before.up, before.down]);
+});
+
+/* ---------- Routes ---------- */
+test("/feedback: an object question is a 400; a valid one is stored", async () => {
+  const bad = await post("/feedback", { rating: "down", question: { text: "tax?" } });
+  assert.equal(bad.status, 400);
+  assert.equal((await bad.json()).error, "invalid_feedback");
+
+  const missing = await post("/feedback", { rating: "down", answerId: "expired" });
+  assert.equal(missing.status, 404);
+
+  const ok = await post("/feedback", { rating: "down", question: "spaceship menu rules?", sourceIds: ["menu_sop:intro"] });
+  assert.equal(ok.status, 200);
+  assert.equal((await ok.json()).feedback.question, "spaceship menu rules?");
+});
+
+test("/reports/unanswered counts thumbs-down questions and sources; leads only", async () => {
+  const anon = await fetch(`${BASE}/reports/unanswered`);
+  assert.equal(anon.status, 401);
+
+  const res = await fetch(`${BASE}/reports/unanswered?days=7`, { headers: asAdmin });
+  assert.equal(res.status, 200);
+  const report = await res.json();
+  assert.equal(report.feedback.down, 1);
+  assert.deepEqual(report.feedback.downvotedSources, [{ id: "menu_sop:intro", count: 1 }]);
+  assert.ok(report.topics.some((t) => t.examples.includes("spaceship menu rules?")));
+});
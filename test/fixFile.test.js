@@ -0,0 +1,178 @@
+// /fix-file end to end: JSON report and the corrected CSV / .xlsx downloads, against a spawned server
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import ExcelJS from "exceljs";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PORT = 31000 + Math.floor(Math.random() * 2000);
+const BASE = `http://127.0.0.1:${PORT}`;
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "qcb-fix-"));
+// everything the server writes (runs, index cache, snapshots, uploads) goes to tmp, never into the tree
+const dirs = {
+  DATA_DIR: path.join(tmp, "data"),
+  RAG_INDEX_PATH: path.join(tmp, "rag_index.json"),
+  KNOWLEDGE_DIR: path.join(tmp, "knowledge"),
+  KNOWLEDGE_RAW_DIR: path.join(tmp, "knowledge_raw"),
+  KNOWLEDGE_SNAPSHOT_DIR: path.join(tmp, "knowledge_versions"),
+  UPLOAD_DIR: path.join(tmp, "uploads"),
+};
+let server;
+
+before(async () => {
+  server = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: { ...process.env, ...dirs, PORT: String(PORT), LLM_PROVIDER: "off", AUTH_DISABLED: "1", UPLOAD_MAX_MB: "1" },
+    stdio: "ignore",
+  });
+  const deadline = Date.now() + 60_000;
+  while (Date.now() < deadline) {
+    try {
+      if ((await fetch(`${BASE}/health`)).ok) return;
+    } catch {}
+    await new Promise((r) => setTimeout(r, 250));
+  }
+  throw new Error("server did not start");
+});
+
+after(() => {
+  server?.kill();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const CSV = "item_name,item_description,price\nchicken burger,Grilled chicken with garlic sauce,25\nFries,Crispy potato fries,10\n";
+
+function post(route, name, body, fields = {}) {
+  const form = new FormData();
+  form.append("file", new Blob([body]), name);
+  for (const [k, v] of Object.entries(fields)) form.append(k, v);
+  return fetch(`${BASE}${route}`, { method: "POST", body: form });
+}
+
+async function workbook(sheets) {
+  const wb = new ExcelJS.Workbook();
+  for (const [name, rows] of Object.entries(sheets)) wb.addWorksheet(name).addRows(rows);
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+async function readWorkbook(res) {
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(Buffer.from(await res.arrayBuffer()));
+  return wb;
+}
+
+test("CSV: JSON report points issues at spreadsheet rows", async () => {
+  const res = await post("/fix-file", "menu.csv", CSV);
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.totalRows, 2);
+  assert.ok(body.runId);
+  assert.equal(body.sheets, undefined);
+  const burger = body.issues.find((r) => r.rowNumber === 2);
+  assert.ok(burger.rowIssues.some((i) => i.rule === "item_name_case"));
+  assert.ok(Array.isArray(body.menuIssues));
+});
+
+test("CSV download: same headers, auto-fixes applied, optional change log", async () => {
+  const res = await post("/fix-file/download", "menu.csv", CSV, { changelog: "1" });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /text\/csv/);
+  assert.match(res.headers.get("content-disposition"), /menu_fixed\.csv/);
+  assert.ok(res.headers.get("x-qc-run-id"));
+  const [header, first, second] = (await res.text()).replace(/^﻿/, "").split(/\r?\n/);
+  assert.equal(header, "item_name,item_description,price,qc_changes");
+  assert.match(first, /^Chicken Burger,/);
+  assert.match(first, /item_name: ""chicken burger"" → ""Chicken Burger""/);
+  assert.match(second, /^Fries,Crispy potato fries,10,/);
+});
+
+test("CSV download: an Arabic file name survives the upload", async () => {
+  const res = await post("/fix-file/download", "منيو مطعم.csv", CSV);
+  assert.equal(res.status, 200);
+  assert.ok(res.headers.get("content-disposition").includes(`filename*=UTF-8''${encodeURIComponent("منيو مطعم_fixed.csv")}`));
+});
+
+test("CSV download without changelog keeps the original headers", async () => {
+  const res = await post("/fix-file?output=csv", "menu.csv", CSV);
+  assert.equal(res.status, 200);
+  const [header] = (await res.text()).replace(/^﻿/, "").split(/\r?\n/);
+  assert.equal(header, "item_name,item_description,price");
+});
+
+test("CSV download: a header-only or unmapped file comes back unchanged, not a crash", async () => {
+  const headerOnly = await post("/fix-file/download", "empty.csv", "item_name,price\n");
+  assert.equal(headerOnly.status, 200);
+  assert.equal((await headerOnly.text()).replace(/^﻿/, "").trim(), "item_name,price");
+
+  const unmapped = await post("/fix-file/download", "notes.csv", "note,owner\ncall back,Sara\n");
+  assert.equal(unmapped.status, 200);
+  const lines = (await unmapped.text()).replace(/^﻿/, "").trim().split(/\r?\n/);
+  assert.deepEqual(lines, ["note,owner", "call back,Sara"]);
+});
+
+test("xlsx: JSON report lists every sheet and skips the ones without menu columns", async () => {
+  const file = await workbook({
+    Items: [["item_name", "price"], ["chicken burger", 25], ["Fries", 10]],
+    Notes: [["note"], ["ask for logo"]],
+  });
+  const res = await post("/fix-file", "menu.xlsx", file);
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.totalRows, 2);
+  assert.deepEqual(body.sheets.map(({ name, skipped }) => [name, !!skipped]), [["Items", false], ["Notes", true]]);
+  assert.equal(body.sheets[1].totalRows, 1);
+  assert.ok(body.issues.every((r) => r.sheet === "Items"));
+});
+
+test("xlsx download: fixed cells in place, numbers stay numbers, other sheets untouched", async () => {
+  const file = await workbook({
+    Items: [["item_name", "price"], ["chicken burger", 25]],
+    Notes: [["note"], ["ask for logo"]],
+  });
+  const res = await post("/fix-file/download", "menu.xlsx", file, { changelog: "1" });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /spreadsheetml/);
+  assert.match(res.headers.get("content-disposition"), /menu_fixed\.xlsx/);
+
+  const wb = await readWorkbook(res);
+  assert.deepEqual(wb.worksheets.map((ws) => ws.name), ["Items", "Notes", "QC changes"]);
+  const items = wb.getWorksheet("Items");
+  assert.equal(items.getCell("A2").value, "Chicken Burger");
+  assert.equal(items.getCell("B2").value, 25);
+  assert.equal(wb.getWorksheet("Notes").getCell("A2").value, "ask for logo");
+  const log = wb.getWorksheet("QC changes");
+  assert.deepEqual(log.getRow(2).values.slice(1), ["Items", 2, "item_name", "chicken burger", "Chicken Burger"]);
+});
+
+test("xlsx download: a numeric tax fraction stays a number, fixed to the market rate", async () => {
+  const file = await workbook({ Items: [["item_name", "price", "tax"], ["Tea", 5, 0.05], ["Coffee", 8, 0.15]] });
+  const res = await post("/fix-file/download", "menu.xlsx", file, { market: "KSA" });
+  assert.equal(res.status, 200);
+  const items = (await readWorkbook(res)).getWorksheet("Items");
+  assert.equal(items.getCell("C2").value, 0.15);
+  assert.equal(items.getCell("C3").value, 0.15);
+});
+
+test("xlsx with no menu sheet is a 400", async () => {
+  const res = await post("/fix-file/download", "notes.xlsx", await workbook({ Notes: [["note"], ["x"]] }));
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).error, "no_menu_sheets");
+});
+
+test("a file that is not really .xlsx is a 400 without the parser's message", async () => {
+  const res = await post("/fix-file", "menu.xlsx", "item_name,price\nTea,5\n");
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.deepEqual(body, { error: "invalid_file", details: "Could not read the file as .xlsx" });
+});
+
+test("an upload over UPLOAD_MAX_MB is a 413", async () => {
+  const big = `item_name,price\n${"Tea,5\n".repeat(200_000)}`;
+  const res = await post("/fix-file", "menu.csv", big);
+  assert.equal(res.status, 413);
+  assert.equal((await res.json()).error, "file_too_large");
+});
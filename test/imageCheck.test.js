@@ -0,0 +1,25 @@
+// Image URL checks never reach loopback, private or link-local hosts
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkImageUrl, isBlockedAddress } from "../imageCheck.js";
+
+test("private, loopback, link-local and mapped addresses are blocked", () => {
+  for (const ip of ["127.0.0.1", "10.1.2.3", "172.20.0.5", "192.168.1.10", "169.254.169.254", "100.64.0.1", "0.0.0.0", "::1", "fd00::1", "fe80::1", "::ffff:127.0.0.1"]) {
+    assert.ok(isBlockedAddress(ip), ip);
+  }
+  for (const ip of ["8.8.8.8", "151.101.1.69", "2606:4700::6810:84e5"]) assert.ok(!isBlockedAddress(ip), ip);
+});
+
+test("URLs naming or resolving to a private host are refused before any request", async () => {
+  for (const src of ["http://127.0.0.1:9/logo.png", "http://169.254.169.254/latest/meta-data/", "http://[::1]/a.png", "http://localhost/a.png", "http://0x7f000001/a.png"]) {
+    const r = await checkImageUrl(src, { kind: "item" });
+    assert.equal(r.ok, false);
+    assert.equal(r.error, "blocked_url", src);
+  }
+});
+
+test("non-http URLs and server paths are not read", async () => {
+  assert.equal((await checkImageUrl("ftp://example.com/a.png")).error, "not_a_url");
+  assert.equal((await checkImageUrl("/etc/passwd")).error, "not_a_url");
+  assert.equal((await checkImageUrl("file:///etc/passwd")).error, "not_a_url");
+});
@@ -0,0 +1,52 @@
+// Knowledge snapshots: rollback only removes files a publish or rollback created; chunk ids survive inserts
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "qcb-versions-"));
+const kdir = path.join(tmp, "knowledge");
+fs.mkdirSync(kdir);
+process.env.KNOWLEDGE_DIR = kdir;
+process.env.KNOWLEDGE_SNAPSHOT_DIR = path.join(tmp, "versions");
+process.env.DATA_DIR = path.join(tmp, "data");
+const { chunksFromJson, reloadKnowledge } = await import("../knowledgeLoader.js");
+const { snapshotKnowledge, rollbackKnowledge, diffVersions } = await import("../knowledgeVersions.js");
+const { writeOutputs } = await import("../sopConverter.js");
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const rule = (text) => ({ title: "Logo rules", topic: "images", market: "AE", text });
+
+test("rollback removes published files only, never root SOPs, npm or QC config, or hand-placed files", () => {
+  fs.writeFileSync(path.join(kdir, "package.json"), "{}");
+  fs.writeFileSync(path.join(kdir, "qc_rules.json"), "{}");
+  fs.writeFileSync(path.join(kdir, "manual_notes.json"), JSON.stringify([rule("Logos must be square.")]));
+  reloadKnowledge({ force: true });
+  const before = snapshotKnowledge({ source: "test" }).version;
+  assert.ok(before.outside.includes("company_sop.json"));
+  assert.ok(!before.outside.includes("manual_notes.json"));
+
+  writeOutputs({ "images_sop.json": [rule("Hero images are 1200x800.")] }, kdir);
+  reloadKnowledge({ force: true });
+  const published = snapshotKnowledge({ source: "test" }).version;
+  assert.equal(diffVersions(before.id, published.id).summary.added, 1);
+
+  const back = rollbackKnowledge(before.id);
+  assert.deepEqual(back.removed, ["images_sop.json"]);
+  assert.ok(back.hashMatches);
+  assert.deepEqual(fs.readdirSync(kdir).sort(), ["manual_notes.json", "package.json", "qc_rules.json"]);
+
+  assert.ok(rollbackKnowledge(published.id).hashMatches);
+  assert.ok(fs.existsSync(path.join(kdir, "images_sop.json")));
+});
+
+test("inserting a chunk under a heading keeps the ids of the chunks after it", () => {
+  const texts = ["Logos must be square.", "No text on hero images.", "Use the merchant's own photos."];
+  const ids = (list) => Object.fromEntries(chunksFromJson(list.map(rule), "images_sop.json").map((c) => [c.text, c.id]));
+  const old = ids(texts);
+  const now = ids([texts[0], "Dishes must be centred.", ...texts.slice(1)]);
+  assert.equal(new Set(Object.values(old)).size, 3);
+  for (const t of texts) assert.equal(now[t], old[t], t);
+});
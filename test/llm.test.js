@@ -0,0 +1,108 @@
+// llm.js: the offline mock provider, and model fallback / provider errors against a local OpenAI-style server
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { generate, generateStream, llmInfo } from "../llm.js";
+
+const PROMPT = "Answer from the SOP.\n[S1] Logos (AE/images): Logos are 1200x1200. No text.\n[S2] Hero (AE/images): Hero images are 1125x780.\n";
+
+const collect = async (iter) => {
+  const parts = [];
+  for await (const p of iter) parts.push(p);
+  return parts;
+};
+
+// model name → how the stub answers: "ok" | "fail" (500) | "bad" (400)
+const calls = [];
+let server;
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      const { model, stream } = JSON.parse(body);
+      calls.push(model);
+      const mode = model.split("-")[0];
+      if (mode !== "ok") {
+        res.writeHead(mode === "bad" ? 400 : 500, { "Content-Type": "application/json" });
+        return res.end(JSON.stringify({ error: { message: `${mode} model` } }));
+      }
+      if (!stream) {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        return res.end(JSON.stringify({ choices: [{ message: { content: `from ${model}` } }] }));
+      }
+      res.writeHead(200, { "Content-Type": "text/event-stream" });
+      for (const piece of ["from ", model]) res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: piece } }] })}\n\n`);
+      res.end("data: [DONE]\n\n");
+    });
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+});
+after(() => server.close());
+
+function useStub(models) {
+  Object.assign(process.env, {
+    LLM_PROVIDER: "openai",
+    OPENAI_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`,
+    LLM_MODELS: models.join(","),
+    LLM_RETRIES: "1",
+  });
+  calls.length = 0;
+}
+
+test("mock: one cited bullet per SOP fact, deterministic", async () => {
+  Object.assign(process.env, { LLM_PROVIDER: "mock", LLM_MODELS: "" });
+  assert.equal(llmInfo().provider, "mock");
+  assert.equal(await generate(PROMPT), "- Logos are 1200x1200. [S1]\n- Hero images are 1125x780. [S2]");
+  assert.equal(await generate("Return JSON only: tags for Burger"), "{}");
+  assert.equal(await generate("No sources here"), "I don't have this in the SOP.");
+});
+
+test("mock: the stream yields the same text in pieces", async () => {
+  process.env.LLM_PROVIDER = "mock";
+  const parts = await collect(generateStream(`${PROMPT}stream`));
+  assert.ok(parts.length > 1);
+  assert.equal(parts.join(""), await generate(`${PROMPT}stream`));
+});
+
+test("off or unknown provider: no text, no stream", async () => {
+  process.env.LLM_PROVIDER = "off";
+  assert.equal(await generate(PROMPT), null);
+  assert.deepEqual(await collect(generateStream(PROMPT)), []);
+});
+
+test("a failing model falls back to the next one in the chain", async () => {
+  useStub(["fail-a", "ok-b"]);
+  assert.equal(await generate("q1"), "from ok-b");
+  assert.deepEqual(calls, ["fail-a", "ok-b"]);
+
+  calls.length = 0;
+  assert.equal((await collect(generateStream("q2"))).join(""), "from ok-b");
+  assert.deepEqual(calls, ["fail-a", "ok-b"]);
+});
+
+test("provider errors: every model failing gives null / an empty stream", async () => {
+  useStub(["fail-a", "bad-b"]);
+  assert.equal(await generate("q3"), null);
+  assert.deepEqual(await collect(generateStream("q4")), []);
+  assert.deepEqual(calls, ["fail-a", "bad-b", "fail-a", "bad-b"]);
+});
+
+test("a 4xx is not retried; a 5xx is", async () => {
+  useStub(["bad-a"]);
+  process.env.LLM_RETRIES = "2";
+  assert.equal(await generate("q5"), null);
+  assert.deepEqual(calls, ["bad-a"]);
+
+  useStub(["fail-a"]);
+  process.env.LLM_RETRIES = "2";
+  assert.equal(await generate("q6"), null);
+  assert.deepEqual(calls, ["fail-a", "fail-a"]);
+});
+
+test("answers are cached per prompt", async () => {
+  useStub(["ok-a"]);
+  assert.equal(await generate("q7"), "from ok-a");
+  assert.equal(await generate("q7"), "from ok-a");
+  assert.deepEqual(calls, ["ok-a"]);
+});
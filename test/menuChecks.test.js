@@ -0,0 +1,79 @@
+// Cross-row menu rules through the rule engine (qcCheckMenu)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { qcCheckMenu } from "../rules.js";
+
+let n = 1;
+const entry = (row, { kind = "items", market = "AE", sheet } = {}) =>
+  ({ ref: { ...(sheet && { sheet }), rowNumber: ++n }, kind, market, row });
+const DESC = "Grilled beef patty with cheddar and pickles";
+const byRule = (issues, rule, type) => issues.filter((i) => i.rule === rule && (!type || i.type === type));
+
+test("duplicate item: same name twice in a category and branch, not different options", () => {
+  const a = entry({ item_name: "Burger", category_name: "Mains", branch: "Marina", price: "30" });
+  const b = entry({ item_name: "burger ", category_name: "Mains", branch: "Marina", price: "30" });
+  const small = entry({ item_name: "Fries", category_name: "Mains", option_group_name: "Size", option_name: "Small" });
+  const large = entry({ item_name: "Fries", category_name: "Mains", option_group_name: "Size", option_name: "Large" });
+  const issues = qcCheckMenu({ market: "AE", entries: [a, b, small, large] });
+
+  const dups = byRule(issues, "duplicate_item");
+  assert.equal(dups.length, 1);
+  assert.deepEqual(dups[0].rows, [a.ref, b.ref]);
+  assert.equal(dups[0].field, "item_name");
+  assert.equal(dups[0].autoFix, false);
+});
+
+test("branch consistency: price drift within a market, not across markets or currencies", () => {
+  const marina = entry({ item_id: "B1", item_name: "Burger", branch: "Marina", price: "30", currency: "AED" });
+  const jbr = entry({ item_id: "B1", item_name: "Burger", branch: "JBR", price: "35", currency: "AED" });
+  const riyadh = entry({ item_id: "B1", item_name: "Burger", branch: "Olaya", price: "32", currency: "SAR" }, { market: "SA" });
+  const issues = qcCheckMenu({ market: "AUTO", entries: [marina, jbr, riyadh] });
+
+  const drift = byRule(issues, "branch_consistency", "branch_price");
+  assert.equal(drift.length, 1);
+  assert.deepEqual(drift[0].rows, [marina.ref, jbr.ref]);
+
+  const sameCurrency = qcCheckMenu({ market: "AE", entries: [marina, { ...jbr, row: { ...jbr.row, price: "30" } }] });
+  assert.equal(byRule(sameCurrency, "branch_consistency").length, 0);
+});
+
+test("category shape: single-item and empty categories", () => {
+  const only = entry({ item_name: "Tea", category_name: "Drinks" });
+  const declared = entry({ category_name: "Desserts" }, { kind: "categories", sheet: "Categories" });
+  const issues = qcCheckMenu({ market: "AE", entries: [only, declared] });
+
+  assert.deepEqual(byRule(issues, "category_shape", "single_item").map((i) => i.rows), [[only.ref]]);
+  assert.deepEqual(byRule(issues, "category_shape", "empty").map((i) => i.rows), [[declared.ref]]);
+});
+
+test("orphan options: options pointing at an item that is not on the menu", () => {
+  const item = entry({ item_id: "B1", item_name: "Burger", category_name: "Mains" });
+  const ok = entry({ item_id: "B1", option_name: "Cheese" }, { kind: "options", sheet: "Options" });
+  const orphan = entry({ item_id: "X9", option_name: "Bacon" }, { kind: "options", sheet: "Options" });
+  const issues = byRule(qcCheckMenu({ market: "AE", entries: [item, ok, orphan] }), "orphan_option");
+
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].field, "item_id");
+  assert.deepEqual(issues[0].rows, [orphan.ref]);
+});
+
+test("shared description: one long description on different items only", () => {
+  const a = entry({ item_name: "Burger", category_name: "Mains", item_description: DESC });
+  const b = entry({ item_name: "Cheeseburger", category_name: "Mains", item_description: DESC });
+  const short = [entry({ item_name: "Tea", item_description: "Served hot" }), entry({ item_name: "Coffee", item_description: "Served hot" })];
+  const issues = byRule(qcCheckMenu({ market: "AE", entries: [a, b, ...short] }), "shared_description");
+
+  assert.equal(issues.length, 1);
+  assert.deepEqual(issues[0].rows, [a.ref, b.ref]);
+});
+
+test("every menu issue carries rule, severity and autoFix: false", () => {
+  const a = entry({ item_name: "Burger", category_name: "Mains", branch: "Marina" });
+  const issues = qcCheckMenu({ market: "AE", entries: [a, { ...a, ref: { rowNumber: ++n } }] });
+  assert.ok(issues.length);
+  for (const i of issues) {
+    assert.equal(typeof i.rule, "string");
+    assert.ok(["error", "warning", "info"].includes(i.severity));
+    assert.equal(i.autoFix, false);
+  }
+});
@@ -0,0 +1,103 @@
+// Rule config (qc_rules.json): per-market enable / severity / autoFix overrides, and GET /qc-rules?market=
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "qcb-rules-"));
+const CONFIG = {
+  ALL: { spelling_en: false, item_name_case: { severity: "error" } },
+  SA: { item_name_case: { autoFix: false }, tax_rate: { severity: "info" } },
+  JO: { spelling_en: true },
+};
+process.env.QC_RULES_CONFIG = path.join(tmp, "qc_rules.json");
+fs.writeFileSync(process.env.QC_RULES_CONFIG, JSON.stringify(CONFIG));
+const { qcCheckSingle, rulesForMarket, setRulesConfig } = await import("../rules.js");
+
+const PORT = 33000 + Math.floor(Math.random() * 2000);
+const BASE = `http://127.0.0.1:${PORT}`;
+let server;
+
+before(async () => {
+  server = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      DATA_DIR: path.join(tmp, "data"),
+      RAG_INDEX_PATH: path.join(tmp, "rag_index.json"),
+      KNOWLEDGE_DIR: path.join(tmp, "knowledge"),
+      KNOWLEDGE_SNAPSHOT_DIR: path.join(tmp, "knowledge_versions"),
+      UPLOAD_DIR: path.join(tmp, "uploads"),
+      LLM_PROVIDER: "off",
+      AUTH_DISABLED: "1",
+    },
+    stdio: "ignore",
+  });
+  const deadline = Date.now() + 60_000;
+  while (Date.now() < deadline) {
+    try {
+      if ((await fetch(`${BASE}/health`)).ok) return;
+    } catch {}
+    await new Promise((r) => setTimeout(r, 250));
+  }
+  throw new Error("server did not start");
+});
+
+after(() => {
+  server?.kill();
+  setRulesConfig(CONFIG);
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const rule = (market, id) => rulesForMarket(market).find((r) => r.id === id);
+const issue = (market, id, ctx) => qcCheckSingle({ market, ...ctx }).find((i) => i.rule === id);
+
+test("the config file is read at load: ALL applies everywhere, a market entry overrides it", () => {
+  assert.equal(rule("AE", "spelling_en").enabled, false);
+  assert.equal(rule("JO", "spelling_en").enabled, true);
+  assert.equal(rule("AE", "item_name_case").severity, "error");
+  assert.equal(rule("SA", "tax_rate").severity, "info");
+  assert.equal(rule("AE", "tax_rate").severity, "error");
+});
+
+test("issues carry the configured severity and autoFix", () => {
+  const ae = issue("AE", "item_name_case", { name: "chicken burger" });
+  assert.equal(ae.severity, "error");
+  assert.equal(ae.autoFix, true);
+  const sa = issue("SA", "item_name_case", { name: "chicken burger" });
+  assert.equal(sa.autoFix, false);
+  assert.equal(sa.fix, "Chicken Burger");
+  assert.equal(rule("SA", "item_name_case").autoFix, false);
+});
+
+test("a disabled rule reports nothing; a bad severity is ignored", () => {
+  setRulesConfig({ AE: { item_name_case: false, tax_rate: { severity: "fatal" } } });
+  assert.equal(issue("AE", "item_name_case", { name: "chicken burger" }), undefined);
+  assert.ok(issue("SA", "item_name_case", { name: "chicken burger" }));
+  assert.equal(issue("AE", "tax_rate", { tax: "15" }).severity, "error");
+  setRulesConfig(CONFIG);
+});
+
+test("GET /qc-rules?market= takes aliases and returns that market's effective rules", async () => {
+  const ksa = await (await fetch(`${BASE}/qc-rules?market=ksa`)).json();
+  assert.equal(ksa.market, "SA");
+  const byId = Object.fromEntries(ksa.rules.map((r) => [r.id, r]));
+  assert.equal(byId.tax_rate.severity, "info");
+  assert.equal(byId.item_name_case.autoFix, false);
+  assert.equal(byId.spelling_en.enabled, false);
+
+  const uae = await (await fetch(`${BASE}/qc-rules?market=uae`)).json();
+  assert.equal(uae.market, "AE");
+  assert.equal(uae.rules.find((r) => r.id === "item_name_case").autoFix, true);
+
+  const auto = await fetch(`${BASE}/qc-rules`);
+  assert.equal((await auto.json()).market, "AUTO");
+  const bad = await fetch(`${BASE}/qc-rules?market=mars`);
+  assert.equal(bad.status, 400);
+  assert.equal((await bad.json()).error, "invalid_market");
+});
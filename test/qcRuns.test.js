@@ -0,0 +1,90 @@
+// Persisted QC runs: the run store, listRuns filters and the per-merchant / per-week lead report
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "qcb-runs-"));
+// config.js reads DATA_DIR at load
+process.env.DATA_DIR = tmp;
+const { recordRun, listRuns, getRun, qcReport } = await import("../qcRuns.js");
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const issue = (rule, field) => ({ rule, field, severity: "warning" });
+const row = (market, ...rowIssues) => ({ market, rowIssues });
+
+const DAY = 24 * 60 * 60_000;
+// older runs straight into the index, dated by hand: Wed 2026-10-07 (W41) and Wed 2026-09-30 (W40)
+function pastRun(id, at, merchant, byMarket) {
+  const run = { id, at, uploader: { id: "key:ops", name: "ops" }, market: "AUTO", merchant, byMarket };
+  fs.appendFileSync(path.join(tmp, "qc_runs.jsonl"), `${JSON.stringify(run)}\n`);
+}
+
+test("recordRun stores the summary in the index and the issues in the run file", () => {
+  const run = recordRun(
+    { uploader: { id: "key:ops", name: "ops" }, market: "AUTO", merchant: "Burger Hub", filename: "burger.csv" },
+    [row("AE", issue("item_name_case", "item_name")), row("AE"), row("SA", issue("tax", "tax"), issue("item_name_case", "item_name"))],
+    { market: "AE", issues: [issue("duplicate_item", "item_name")] }
+  );
+  assert.equal(run.totalRows, 3);
+  assert.equal(run.rowsWithIssues, 2);
+  assert.deepEqual(run.byRule, { item_name_case: 2, tax: 1, duplicate_item: 1 });
+  assert.deepEqual(run.byMarket.AE, { rows: 2, rowsWithIssues: 1, byRule: { item_name_case: 1, duplicate_item: 1 }, byField: { item_name: 2 } });
+  assert.equal(run.menuIssues, 1);
+
+  const stored = getRun(run.id);
+  assert.equal(stored.issues.length, 2);
+  assert.equal(stored.menuIssues[0].rule, "duplicate_item");
+  assert.equal(getRun("../qc_runs"), null);
+});
+
+test("the merchant defaults to the file name", () => {
+  const run = recordRun({ uploader: { id: "key:lead", name: "lead" }, market: "JO", filename: "Shawarma House.xlsx" }, [row("JO", issue("tax", "tax"))]);
+  assert.equal(run.merchant, "Shawarma House");
+});
+
+test("listRuns filters by uploader, market, merchant and age", () => {
+  pastRun("20261007T100000Z-aaaaaa", "2026-10-07T10:00:00.000Z", "Burger Hub", { AE: { rows: 4, rowsWithIssues: 2, byRule: { tax: 2 }, byField: { tax: 2 } } });
+  pastRun("20260930T100000Z-bbbbbb", "2026-09-30T10:00:00.000Z", "Pizza Co", { AE: { rows: 10, rowsWithIssues: 1, byRule: { tax: 1 }, byField: { tax: 1 } } });
+
+  assert.deepEqual(listRuns({ uploader: "key:lead" }).map((r) => r.merchant), ["Shawarma House"]);
+  assert.deepEqual(listRuns({ market: "SA" }).map((r) => r.merchant), ["Burger Hub"]);
+  assert.deepEqual(listRuns({ merchant: "pizza" }).map((r) => r.id), ["20260930T100000Z-bbbbbb"]);
+  const recent = listRuns({ days: (Date.now() - Date.parse("2026-10-03T00:00:00Z")) / DAY });
+  assert.ok(!recent.some((r) => r.merchant === "Pizza Co"));
+  const all = listRuns();
+  assert.equal(all.length, 4);
+  assert.ok(all.every((r, i) => !i || all[i - 1].at >= r.at), "newest first");
+});
+
+test("per-merchant report: one group per merchant × market, biggest first", () => {
+  const { groups, runs } = qcReport({ groupBy: "merchant", days: 3650 });
+  assert.equal(runs, 4);
+  const hubAE = groups.find((g) => g.merchant === "Burger Hub" && g.market === "AE");
+  assert.equal(hubAE.runs, 2);
+  assert.equal(hubAE.rows, 6);
+  assert.equal(hubAE.rowsWithIssues, 3);
+  assert.equal(hubAE.issueRate, 0.5);
+  assert.equal(hubAE.issues, 4);
+  assert.deepEqual(hubAE.topRules, [{ rule: "tax", count: 2 }, { rule: "duplicate_item", count: 1 }, { rule: "item_name_case", count: 1 }]);
+  assert.equal(groups[0], hubAE);
+  assert.ok(groups.every((g, i) => !i || groups[i - 1].issues >= g.issues));
+});
+
+test("per-week report: ISO weeks newest first, with a market filter", () => {
+  const { groups } = qcReport({ groupBy: "week", market: "AE", days: 3650 });
+  assert.ok(groups.every((g) => g.market === "AE"));
+  const weeks = groups.map((g) => g.week);
+  assert.deepEqual(weeks.slice(-2), ["2026-W41", "2026-W40"]);
+  assert.deepEqual(weeks, [...weeks].sort().reverse());
+  const w40 = groups.find((g) => g.week === "2026-W40");
+  assert.deepEqual([w40.runs, w40.rows, w40.issueRate], [1, 10, 0.1]);
+});
+
+test("runs older than `days` drop out of the report", () => {
+  const days = (Date.now() - Date.parse("2026-10-03T00:00:00Z")) / DAY;
+  const { groups } = qcReport({ groupBy: "merchant", days });
+  assert.ok(!groups.some((g) => g.merchant === "Pizza Co"));
+});
@@ -0,0 +1,122 @@
+// AI quota: per-caller and provider-wide token buckets, the wait queue, and 429 + Retry-After behind a proxy
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// quota.js reads its limits at load: each case gets its own copy of the module
+let copies = 0;
+async function quotaWith(env) {
+  Object.assign(process.env, { AI_QUOTA_PER_MIN: "10", AI_QUOTA_BURST: "", LLM_MAX_CALLS_PER_MIN: "100", AI_QUEUE_TIMEOUT_MS: "0", ...env });
+  return import(`../quota.js?copy=${++copies}`);
+}
+const req = (caller) => ({ auth: { id: caller }, ip: "127.0.0.1" });
+
+test("callers are keyed by auth id, else by IP", async () => {
+  const { callerId } = await quotaWith({});
+  assert.equal(callerId({ auth: { id: "key:ops" }, ip: "10.0.0.1" }), "key:ops");
+  assert.equal(callerId({ ip: "10.0.0.1", headers: { "x-user-id": "someone" } }), "ip:10.0.0.1");
+});
+
+test("each caller has its own bucket", async () => {
+  const { aiQuota } = await quotaWith({ AI_QUOTA_PER_MIN: "2" });
+  const a = aiQuota(req("a"));
+  assert.deepEqual([await a.acquire(), await a.acquire(), await a.acquire()], [true, true, false]);
+  const status = aiQuota(req("a")).status();
+  assert.equal(status.remaining, 0);
+  assert.equal(status.limit, 2);
+  assert.ok(status.retryAfterMs > 25_000 && status.retryAfterMs <= 30_000, String(status.retryAfterMs));
+  assert.equal(await aiQuota(req("b")).acquire(), true);
+});
+
+test("the provider-wide bucket caps all callers together and refunds the caller's token", async () => {
+  const { aiQuota } = await quotaWith({ LLM_MAX_CALLS_PER_MIN: "3" });
+  for (const c of ["a", "b", "c"]) assert.equal(await aiQuota(req(c)).acquire(), true);
+  const d = aiQuota(req("d"));
+  assert.equal(await d.acquire(), false);
+  assert.equal(d.status().remaining, 10);
+});
+
+test("with a queue, a caller waits for the next token instead of failing", async () => {
+  const { aiQuota } = await quotaWith({ AI_QUOTA_PER_MIN: "600", AI_QUOTA_BURST: "1", AI_QUEUE_TIMEOUT_MS: "1000" });
+  const q = aiQuota(req("a"));
+  assert.equal(await q.acquire(), true);
+  const started = Date.now();
+  assert.equal(await q.acquire(), true);
+  assert.ok(Date.now() - started >= 50, "waited for the refill");
+});
+
+test("the queue gives up after AI_QUEUE_TIMEOUT_MS", async () => {
+  const { aiQuota } = await quotaWith({ AI_QUOTA_PER_MIN: "1", AI_QUEUE_TIMEOUT_MS: "80" });
+  const q = aiQuota(req("a"));
+  await q.acquire();
+  assert.equal(await q.acquire(), false);
+});
+
+/* ---------- Server: strict mode behind a proxy ---------- */
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PORT = 35000 + Math.floor(Math.random() * 2000);
+const BASE = `http://127.0.0.1:${PORT}`;
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "qcb-quota-"));
+let server;
+
+before(async () => {
+  server = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      DATA_DIR: path.join(tmp, "data"),
+      RAG_INDEX_PATH: path.join(tmp, "rag_index.json"),
+      KNOWLEDGE_DIR: path.join(tmp, "knowledge"),
+      KNOWLEDGE_SNAPSHOT_DIR: path.join(tmp, "knowledge_versions"),
+      UPLOAD_DIR: path.join(tmp, "uploads"),
+      LLM_PROVIDER: "mock",
+      AI_QUOTA_PER_MIN: "1",
+      AI_QUOTA_BURST: "",
+      LLM_MAX_CALLS_PER_MIN: "100",
+      AI_QUEUE_TIMEOUT_MS: "0",
+      AI_QUOTA_STRICT: "1",
+      TRUST_PROXY: "loopback",
+      AUTH_DISABLED: "1",
+    },
+    stdio: "ignore",
+  });
+  const deadline = Date.now() + 60_000;
+  while (Date.now() < deadline) {
+    try {
+      if ((await fetch(`${BASE}/health`)).ok) return;
+    } catch {}
+    await new Promise((r) => setTimeout(r, 250));
+  }
+  throw new Error("server did not start");
+});
+
+after(() => {
+  server?.kill();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const ask = (client, message) => fetch(`${BASE}/ask`, {
+  method: "POST",
+  headers: { "Content-Type": "application/json", "X-Forwarded-For": client },
+  body: JSON.stringify({ message }),
+});
+
+test("strict mode: an empty bucket is a 429 with Retry-After; clients behind the proxy are counted apart", async () => {
+  const first = await ask("203.0.113.7", "What is the VAT on commission in UAE?");
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get("x-ai-quota-remaining"), "0");
+
+  const second = await ask("203.0.113.7", "What is the tax on commission in Jordan?");
+  assert.equal(second.status, 429);
+  assert.equal((await second.json()).error, "quota_exceeded");
+  const retry = Number(second.headers.get("retry-after"));
+  assert.ok(retry > 0 && retry <= 60, String(retry));
+
+  const other = await ask("198.51.100.4", "What is the tax on commission in Jordan?");
+  assert.equal(other.status, 200);
+});
@@ -0,0 +1,49 @@
+// citeAnswer: model bullets keep a citation only when a retrieved source backs them (mock LLM for the model text)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildGroundedPrompt, citeAnswer } from "../rag.js";
+
+process.env.LLM_PROVIDER = "mock";
+delete process.env.LLM_MOCK_RESPONSE;
+const { generate } = await import("../llm.js");
+
+const sources = [
+  { cite: "S1", id: "images_sop:logo", title: "Logo images", market: "AE", topic: "images", text: "Logo images must be 1200x1200 pixels with no text." },
+  { cite: "S2", id: "images_sop:hero", title: "Hero images", market: "AE", topic: "images", text: "Hero images must be 1125x780 pixels." },
+];
+
+test("mock answer over the grounded prompt: every bullet keeps its source", async () => {
+  const answer = await generate(buildGroundedPrompt({ question: "image sizes?", marketPref: "AE", sources }));
+  const cited = citeAnswer(answer, sources);
+  assert.deepEqual(cited.citations.map((c) => c.ids), [["images_sop:logo"], ["images_sop:hero"]]);
+  assert.deepEqual(cited.unsupported, []);
+  assert.match(cited.text, /1200x1200 pixels with no text\. \[S1\]\n.*1125x780 pixels\. \[S2\]$/);
+});
+
+test("a wrong citation moves to the source that supports the bullet", () => {
+  const cited = citeAnswer("- Hero images must be 1125x780 pixels [S1]", sources);
+  assert.equal(cited.text, "- Hero images must be 1125x780 pixels [S2]");
+  assert.deepEqual(cited.citations[0].cites, ["S2"]);
+});
+
+test("a bullet no source supports is dropped, or flagged with CITATION_POLICY=flag", () => {
+  const text = "- Logo images must be 1200x1200 pixels [S1]\n- Menus need a halal certificate [S2]";
+  const dropped = citeAnswer(text, sources);
+  assert.equal(dropped.text, "- Logo images must be 1200x1200 pixels [S1]");
+  assert.deepEqual(dropped.unsupported, ["Menus need a halal certificate"]);
+
+  const flagged = citeAnswer(text, sources, { policy: "flag" });
+  assert.match(flagged.text, /Menus need a halal certificate \[unverified\]$/);
+});
+
+test("a number the source does not contain is never supported", () => {
+  const cited = citeAnswer("- Logo images must be 1000x1000 pixels [S1]", sources);
+  assert.equal(cited.text, "");
+  assert.equal(cited.unsupported.length, 1);
+});
+
+test("the not-in-SOP reply passes through without citations", () => {
+  const cited = citeAnswer("I don't have this in the SOP.", sources);
+  assert.equal(cited.text, "I don't have this in the SOP.");
+  assert.deepEqual(cited.citations, []);
+});
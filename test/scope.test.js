@@ -0,0 +1,34 @@
+// Not-in-SOP gate: MIN_CONFIDENCE is tuned with eval/scope.mjs on its own split and scored here on
+// questions it was never tuned on (eval/scope_holdout.json)
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import url from "url";
+
+const ROOT = path.join(path.dirname(url.fileURLToPath(import.meta.url)), "..");
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "qcb-scope-"));
+process.env.KNOWLEDGE_DIR = path.join(tmp, "knowledge");
+process.env.RAG_INDEX_PATH = path.join(tmp, "rag_index.json");
+delete process.env.RAG_MIN_CONFIDENCE;
+const { scoreChunks, answerConfidence, MIN_CONFIDENCE } = await import("../rag.js");
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const read = (f) => JSON.parse(fs.readFileSync(path.join(ROOT, "eval", f), "utf-8"));
+const scored = (questions) =>
+  questions.map((q) => ({ ...q, kept: answerConfidence(q.question, scoreChunks(q.question)) >= MIN_CONFIDENCE }));
+
+test("held-out questions: the threshold separates in-scope from out-of-scope", () => {
+  const held = scored(read("scope_holdout.json"));
+  const wrong = held.filter((q) => q.kept !== q.inScope);
+  assert.ok(wrong.length <= held.length * 0.15, wrong.map((q) => q.question).join("\n"));
+  // answering an out-of-scope question is worse than a not-in-SOP reply
+  assert.deepEqual(held.filter((q) => !q.inScope && q.kept).map((q) => q.question), []);
+});
+
+test("the held-out set shares no question with the tuning split", () => {
+  const tuning = new Set([...read("scope_questions.json"), ...read("retrieval_questions.json")].map((q) => q.question.toLowerCase()));
+  assert.deepEqual(read("scope_holdout.json").filter((q) => tuning.has(q.question.toLowerCase())), []);
+});
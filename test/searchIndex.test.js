@@ -0,0 +1,75 @@
+// BM25 search: ordering on a controlled corpus, and rank quality on the labelled SOP questions
+// (eval/retrieval_questions.json)
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import url from "url";
+
+const ROOT = path.join(path.dirname(url.fileURLToPath(import.meta.url)), "..");
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "qcb-search-"));
+process.env.KNOWLEDGE_DIR = path.join(tmp, "knowledge");
+process.env.RAG_INDEX_PATH = path.join(tmp, "rag_index.json");
+
+// made-up words, so only these chunks match next to the root SOPs
+const doc = (id, text) => ({ id, title: "Test note", topic: "misc", market: "ALL", text });
+fs.mkdirSync(process.env.KNOWLEDGE_DIR);
+fs.writeFileSync(path.join(process.env.KNOWLEDGE_DIR, "zz_test.json"), JSON.stringify([
+  doc("twice", "Zorblax zorblax quill."),
+  doc("once", "Zorblax quill fernwick."),
+  doc("short", "Plonkish rule."),
+  doc("long", "Plonkish rule with many extra words about trays, boxes, napkins, sauces, cutlery and bags."),
+  doc("rare", "Grumbeet only."),
+  doc("photo", "Snorkfest photo."),
+  doc("image", "Snorkfest image."),
+]));
+
+const { search, tokenize, expandQuery, getIndex } = await import("../searchIndex.js");
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const order = (query) => search(query).map(({ c }) => c.text).filter((t) => /zorblax|plonkish|grumbeet|snorkfest/i.test(t));
+
+test("terms are lowercased, stemmed and stripped of stopwords", () => {
+  assert.deepEqual(tokenize("What are the Capitalization rules for images?"), tokenize("capitalize rule image"));
+});
+
+test("synonyms join the query at half weight", () => {
+  const q = expandQuery("photo size");
+  assert.equal(q.get(tokenize("photo")[0]), 1);
+  assert.equal(q.get(tokenize("image")[0]), 0.5);
+  assert.equal(q.get(tokenize("resolution")[0]), 0.5);
+});
+
+test("higher term frequency ranks first", () => {
+  assert.deepEqual(order("zorblax"), ["Zorblax zorblax quill.", "Zorblax quill fernwick."]);
+});
+
+test("a shorter chunk with the same matches ranks first", () => {
+  assert.match(order("plonkish")[0], /^Plonkish rule\.$/);
+});
+
+test("a rare term outweighs a common one", () => {
+  assert.equal(order("grumbeet quill")[0], "Grumbeet only.");
+});
+
+test("an exact word beats its synonym", () => {
+  assert.deepEqual(order("snorkfest photo"), ["Snorkfest photo.", "Snorkfest image."]);
+});
+
+test("scores are descending and the index is persisted", () => {
+  const scores = search("cuisine tags").map((r) => r.score);
+  assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+  assert.equal(JSON.parse(fs.readFileSync(process.env.RAG_INDEX_PATH, "utf-8")).hash, getIndex().hash);
+});
+
+test("labelled SOP questions: the expected fact is in the top 3 for at least 90%", () => {
+  const questions = JSON.parse(fs.readFileSync(path.join(ROOT, "eval", "retrieval_questions.json"), "utf-8"));
+  const misses = [];
+  for (const { question, expect } of questions) {
+    const rank = search(question).findIndex(({ c }) => expect.some((e) => String(c.text || "").includes(e))) + 1;
+    if (!rank || rank > 3) misses.push(`${rank ? `#${rank}` : "miss"} ${question}`);
+  }
+  assert.ok(misses.length <= questions.length * 0.1, misses.join("\n"));
+});
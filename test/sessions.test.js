@@ -0,0 +1,32 @@
+// Follow-up rewriting: only explicit follow-ups borrow the previous question
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { standaloneQuestion } from "../sessions.js";
+
+const turns = [{ question: "bank details in UAE?", standalone: "bank details in UAE?" }];
+
+test("first question of a session is returned as is", () => {
+  assert.equal(standaloneQuestion("and for KSA?", []), "and for KSA?");
+  assert.equal(standaloneQuestion("  IBAN checker?  "), "IBAN checker?");
+});
+
+test("a bare market swaps the previous question's market", () => {
+  assert.equal(standaloneQuestion("and for KSA?", turns), "bank details in KSA");
+  assert.equal(standaloneQuestion("for KSA?", turns), "bank details in KSA");
+  assert.equal(standaloneQuestion("Jordan?", turns), "bank details in Jordan");
+});
+
+test("a lead-in or a pronoun continues the previous question", () => {
+  assert.equal(standaloneQuestion("what about the max?", turns), "bank details in UAE the max");
+  assert.equal(standaloneQuestion("is it mandatory?", turns), "bank details in UAE is it mandatory");
+});
+
+test("a short question without a lead-in or pronoun is a new question", () => {
+  assert.equal(standaloneQuestion("IBAN checker?", turns), "IBAN checker?");
+  assert.equal(standaloneQuestion("calorie rules", turns), "calorie rules");
+});
+
+test("a long question is new even when it mentions a market", () => {
+  const q = "How do I tag a vegan burger for a new merchant in KSA?";
+  assert.equal(standaloneQuestion(q, turns), q);
+});
@@ -0,0 +1,30 @@
+// SOP publish guard: an output with less in it than the file it replaces needs confirm
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "qcb-sop-"));
+process.env.KNOWLEDGE_DIR = dir;
+const { shrinkingOutputs } = await import("../sopConverter.js");
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const sop = (n) => Array.from({ length: n }, (_, i) => ({ title: `Rule ${i + 1}`, topic: "company", market: "AE", text: `Text for rule number ${i + 1}.` }));
+
+test("a smaller output than the existing file is reported", () => {
+  fs.writeFileSync(path.join(dir, "company_sop.json"), JSON.stringify(sop(3)));
+  assert.deepEqual(shrinkingOutputs({ "company_sop.json": sop(1) }, dir), ["company_sop.json: 3 → 1 chunks"]);
+});
+
+test("new files and outputs that keep or grow a file pass", () => {
+  fs.writeFileSync(path.join(dir, "company_sop.json"), JSON.stringify(sop(2)));
+  assert.deepEqual(shrinkingOutputs({ "company_sop.json": sop(2), "writing_sop.json": sop(1) }, dir), []);
+  assert.deepEqual(shrinkingOutputs({ "company_sop.json": sop(4) }, dir), []);
+});
+
+test("glossary shrink is counted in pairs", () => {
+  fs.writeFileSync(path.join(dir, "glossary.json"), JSON.stringify({ AE: [{ en: "Rice", ar: "أرز" }], JO: [{ en: "Tea", ar: "شاي" }] }));
+  assert.deepEqual(shrinkingOutputs({ "glossary.json": { AE: [{ en: "Rice", ar: "أرز" }], JO: [] } }, dir), ["glossary.json: 2 → 1 pairs"]);
+});
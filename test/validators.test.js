@@ -0,0 +1,78 @@
+// Row-level writing rules (validators.js)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fixItemNameCase, checkItemName, checkUnits, checkCapsAfterColonOrNumber, checkTax } from "../validators.js";
+import { qcCheckSingle } from "../rules.js";
+
+test("item names are Title Case with small words lowercased", () => {
+  assert.equal(fixItemNameCase("chicken burger with fries"), "Chicken Burger with Fries");
+  assert.equal(fixItemNameCase("CHEESE PIZZA"), "Cheese Pizza");
+  assert.equal(fixItemNameCase("bbq wings"), "BBQ Wings");
+});
+
+test("brand spellings with inner capitals or digits stay as written", () => {
+  assert.equal(fixItemNameCase("McChicken meal"), "McChicken Meal");
+  assert.equal(fixItemNameCase("7UP can"), "7UP Can");
+  assert.equal(fixItemNameCase("iPhone case"), "iPhone Case");
+  assert.deepEqual(checkItemName("McChicken"), []);
+  assert.deepEqual(checkItemName("7UP"), []);
+});
+
+test("units: SOP abbreviations, fixed in place", () => {
+  const [issue] = checkUnits("250 grams chicken, 6 Pieces, 330 ML can, 1 litre jug");
+  assert.equal(issue.fix, "250 g chicken, 6 pcs, 330 mL can, 1 L jug");
+  assert.equal(issue.autoFix, true);
+  assert.deepEqual(checkUnits("250 g, 6 pcs, 330 ml, 330 mL, 1 L, 500 kcal"), []);
+  assert.deepEqual(checkUnits("Serves 2 people"), []);
+});
+
+test("units: calories are flagged for a person to check, never rewritten", () => {
+  const issues = checkUnits("Burger 500 cal, fries 300 Calories");
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].autoFix, false);
+  assert.equal(issues[0].fix, undefined);
+  assert.match(issues[0].message, /"500 cal", "300 Calories"/);
+
+  const mixed = checkUnits("250 grams, 500 cal");
+  assert.deepEqual(mixed.map((i) => [i.autoFix, i.fix]), [[true, "250 g, 500 cal"], [false, undefined]]);
+});
+
+test("capital after a colon or a number is reported, proper nouns and units excepted", () => {
+  const [issue] = checkCapsAfterColonOrNumber("Served with: Fries and 2 Sauces");
+  assert.equal(issue.fix, "Served with: fries and 2 sauces");
+  assert.deepEqual(checkCapsAfterColonOrNumber("Flavours: Italian herbs, 3 Oreo cookies"), []);
+  assert.deepEqual(checkCapsAfterColonOrNumber("Pack of 6 Pieces"), []);
+});
+
+test("a unit after a number is reported once, by the units rule", () => {
+  const issues = qcCheckSingle({ name: "Wings 6 Pieces", desc: "Crispy wings: 6 Pieces with dip", market: "AE" });
+  assert.deepEqual(issues.filter((i) => i.fix?.includes("6 pcs")).map((i) => [i.rule, i.field]),
+    [["units", "item_name"], ["units", "item_description"]]);
+  assert.ok(!issues.some((i) => i.rule === "description_caps_after_colon_number"));
+  assert.equal(qcCheckSingle({ desc: "Choice of: Fries", market: "AE" }).find((i) => i.rule === "description_caps_after_colon_number").autoFix, false);
+});
+
+test("tax: each market's rate, in whatever format the sheet uses", () => {
+  assert.deepEqual(checkTax("SA", "15"), []);
+  assert.deepEqual(checkTax("AE", "5%"), []);
+  assert.deepEqual(checkTax("JO", "16"), []);
+  assert.equal(checkTax("SA", "5")[0].fix, 15);
+  assert.equal(checkTax("AE", "15%")[0].fix, "5%");
+  assert.match(checkTax("AE", "15%")[0].message, /5% for AE \(found 15%\)/);
+});
+
+test("tax: a numeric fraction cell (0.05) is read as a percentage and fixed as a fraction", () => {
+  assert.deepEqual(checkTax("AE", 0.05), []);
+  assert.deepEqual(checkTax("SA", 0.15), []);
+  assert.equal(checkTax("SA", 0.05)[0].fix, 0.15);
+  assert.equal(checkTax("AE", "0.15")[0].fix, 0.05);
+});
+
+test("tax: empty cell is missing; no tax column or unknown market is not checked", () => {
+  const [missing] = checkTax("SA", " ");
+  assert.equal(missing.fix, 15);
+  assert.match(missing.message, /missing/);
+  assert.deepEqual(checkTax("AE", undefined), []);
+  assert.deepEqual(checkTax("AE", null), []);
+  assert.deepEqual(checkTax("AUTO", "5"), []);
+});
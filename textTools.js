@@ -0,0 +1,22 @@
+// textTools.js — text helpers shared by the EN and Arabic validators
+
+// replace the first case-insensitive occurrence of patch.from
+export function applyPatch(text, { from, to }) {
+  const i = String(text).toLowerCase().indexOf(String(from).toLowerCase());
+  return i < 0 ? text : text.slice(0, i) + to + text.slice(i + from.length);
+}
+
+const TATWEEL = /\u0640/g;
+const HARAKAT = /[\u064B-\u0652]/g;
+
+// Loose form for comparisons: no tatweel/harakat, one alef, ى→ي, ة→ه
+export function normalizeArabic(s) {
+  return String(s || "")
+    .replace(TATWEEL, "")
+    .replace(HARAKAT, "")
+    .replace(/[أإآٱ]/g, "ا")
+    .replace(/ى/g, "ي")
+    .replace(/ة/g, "ه")
+    .replace(/\s+/g, " ")
+    .trim();
+}
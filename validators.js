@@ -1,12 +1,57 @@
 // validators.js
 import levenshtein from "fast-levenshtein";
+import { applyPatch, normalizeArabic } from "./textTools.js";
+
+/* ---------- Writing SOP vocab ---------- */
+// Writing SOP 3.0 — units & abbreviations (token after a number → canonical unit)
+const UNIT_CANON = {
+  g: "g", gm: "g", gms: "g", gr: "g", grs: "g", grm: "g", grms: "g",
+  gram: "g", grams: "g", gramme: "g", grammes: "g",
+  kg: "kg", kgs: "kg", kilo: "kg", kilos: "kg", kilogram: "kg", kilograms: "kg",
+  pc: "pcs", pcs: "pcs", piece: "pcs", pieces: "pcs",
+  ml: "mL", mls: "mL", millilitre: "mL", millilitres: "mL", milliliter: "mL", milliliters: "mL",
+  l: "L", lt: "L", ltr: "L", ltrs: "L", litre: "L", litres: "L", liter: "L", liters: "L",
+  kcal: "kcal", kcals: "kcal", cal: "kcal", cals: "kcal", calorie: "kcal", calories: "kcal",
+};
+// "ml" and "mL" are both accepted (SOP 3.0 special)
+const unitOk = (token, canon) => token === canon || (canon === "mL" && token === "ml");
+// "cal" may be a small calorie or a food Calorie; rewriting it as kcal could change the number's meaning
+const UNCLEAR_UNITS = new Set(["cal", "cals", "calorie", "calories"]);
+
+// Writing SOP 2.0 — words that keep their capital letter anywhere
+const NATIONALITIES = [
+  "American","Arabic","Arabian","Asian","Belgian","Brazilian","British","Chinese","Danish","Dutch",
+  "Egyptian","Emirati","English","European","Filipino","French","German","Greek","Indian","Indonesian",
+  "Iranian","Irish","Italian","Japanese","Jordanian","Korean","Lebanese","Levantine","Mediterranean",
+  "Mexican","Moroccan","Palestinian","Persian","Portuguese","Russian","Saudi","Scottish","Spanish",
+  "Swiss","Syrian","Thai","Turkish","Vietnamese","Yemeni","Cajun","Hawaiian","Neapolitan","Sicilian",
+];
+const PROPER_NOUNS = new Set([
+  ...NATIONALITIES,
+  "Monday","Tuesday","Wednesday","Thursday","Friday","Saturday","Sunday",
+  "January","February","March","April","May","June","July","August","September","October","November","December",
+  "Dubai","Sharjah","Ajman","Amman","Irbid","Zarqa","Aqaba","Riyadh","Jeddah","Dammam","Mecca","Medina",
+  "Abu","Dhabi","Ramadan","Eid","Nutella","Oreo","Lotus","Kinder","Pepsi","Coca-Cola","Philadelphia",
+]);
+// short all-caps tokens that stay as written
+const ACRONYMS = new Set(["BBQ","XL","XXL","XS","KFC","UAE","KSA","USA","UK","DIY","BLT","VIP","TV","PB&J"]);
+
+const isProperNoun = (w) => PROPER_NOUNS.has(w.replace(/[^A-Za-z-]/g, ""));
+const isNumberToken = (w) => /^\d+(?:[.,]\d+)?$/.test(w || "");
 
 export function fixItemNameCase(name) {
   if (!name) return name;
-  const skip = ["a","an","the","of","and","or","in","on","with"];
-  return name.toLowerCase().split(/\s+/).map((w,i)=>
-    (skip.includes(w)&&i!==0) ? w : w.charAt(0).toUpperCase()+w.slice(1)
-  ).join(" ");
+  const skip = ["a","an","the","of","and","or","in","on","with","at","under","within"];
+  const words = name.split(/\s+/);
+  return words.map((raw,i)=>{
+    if (ACRONYMS.has(raw.toUpperCase())) return raw.toUpperCase();
+    // brand spellings stay as written: an inner capital (McChicken, iPhone) or a digit (7UP)
+    if (/\d|\p{Ll}\p{Lu}/u.test(raw)) return raw;
+    const w = raw.toLowerCase();
+    // units after a number are the "units" rule's job; leave them as written so it is reported once
+    if (isNumberToken(words[i-1]) && UNIT_CANON[w]) return raw;
+    return (skip.includes(w)&&i!==0) ? w : w.charAt(0).toUpperCase()+w.slice(1);
+  }).join(" ");
 }
 
 export function cleanDescription(desc) {
@@ -33,7 +78,7 @@ export function checkItemName(name) {
   const fixed = fixItemNameCase(name);
   return (fixed===name) ? [] : [{
     field:"item_name", type:"capitalization",
-    message:`Item names are Title Case → "${fixed}"`, fix: fixed
+    message:`Item names are Title Case → "${fixed}"`, fix: fixed, autoFix: true
   }];
 }
 
@@ -44,7 +89,7 @@ export function checkDescription(desc) {
   if (cleaned !== desc)
     issues.push({ field:"item_description", type:"punctuation/casing",
       message:"Descriptions: sentence style; no trailing period; no double spaces",
-      fix: cleaned });
+      fix: cleaned, autoFix: true });
   if (isMostlyTitleCase(desc))
     issues.push({ field:"item_description", type:"style",
       message:"Descriptions should NOT be Title Case.", fix: cleaned });
@@ -76,17 +121,34 @@ export function checkSpellingEnglish(text, dictionary) {
 }
 
 // glossary pairs: { AE:[{en,ar}], JO:[{en,ar}] }
+// Unknown market (e.g. AUTO): any market's Arabic for the term is accepted.
+function glossaryPairs(glossary, market) {
+  if (glossary?.[market]) return glossary[market].map(({ en, ar }) => ({ en, ars: [ar] }));
+  const byEn = new Map();
+  for (const pairs of Object.values(glossary || {})) {
+    for (const { en, ar } of pairs || []) {
+      const k = String(en).toLowerCase();
+      if (!byEn.has(k)) byEn.set(k, { en, ars: [] });
+      if (!byEn.get(k).ars.includes(ar)) byEn.get(k).ars.push(ar);
+    }
+  }
+  return [...byEn.values()];
+}
+
 function glossaryExpect({ enText, arText, market, glossary }) {
   if (!enText || !arText) return [];
-  const pairs = glossary?.[market] || [];
   const issues = [];
-  for (const { en, ar } of pairs) {
+  for (const { en, ars } of glossaryPairs(glossary, market)) {
+    const ar = ars[0];
     if (String(enText).toLowerCase().includes(String(en).toLowerCase())) {
-      if (!String(arText).includes(String(ar))) {
+      // alef/yaa/taa variants are the ar_letter_variants rule's job, not a mismatch
+      if (!ars.some((a) => normalizeArabic(arText).includes(normalizeArabic(a)))) {
+        // whole EN value is the glossary term → the AR value can be replaced outright
+        const exact = String(enText).trim().toLowerCase() === String(en).trim().toLowerCase();
         issues.push({
           type:"glossary_mismatch",
           message:`If "${en}" appears in EN, expect "${ar}" in AR (${market}).`,
-          fix:`Use Arabic: ${ar}`
+          fix: exact ? ar : `Use Arabic: ${ar}`, autoFix: exact
         });
       }
     }
@@ -117,30 +179,162 @@ export function checkCategories(row, market, glossary) {
   return out;
 }
 
+// VAT % per market
+export const TAX_RULES = { AE: 5, JO: 16, SA: 15 };
+
+// "5", "5%", "0.05" → 5 ; NaN when unreadable
+function parseTaxPercent(v) {
+  const n = Number(String(v).replace("%", "").trim());
+  return n > 0 && n < 1 ? n * 100 : n;
+}
+
+// taxValue null/undefined = no tax column → nothing to check; "" = column present but empty
 export function checkTax(market, taxValue) {
-  const expected = market==="JO" ? 16 : market==="AE" ? 5 : null;
-  if (expected===null) return [];
-  return (Number(taxValue)===expected) ? [] :
-    [{ field:"tax", type:"tax",
-       message:`Tax must be ${expected}% for ${market}`, fix: expected }];
-}
-
-export function qcCheckSingle({ name, desc, market, tax, englishDict, glossary, arName }) {
-  let issues = [];
-  issues.push(...checkItemName(name));
-  issues.push(...checkDescription(desc));
-  issues.push(...checkTax(market, tax));
-  if (englishDict) issues.push(...checkSpellingEnglish(name, englishDict));
-  if (glossary && arName) {
-    issues.push(...glossaryExpect({ enText:name, arText:arName, market, glossary })
-      .map(x=>({ field:"translation", ...x })));
+  const expected = TAX_RULES[market] ?? null;
+  if (expected===null || taxValue===null || taxValue===undefined) return [];
+  const raw = String(taxValue).trim();
+  if (!raw) return [{ field:"tax", type:"tax",
+    message:`Tax is missing; must be ${expected}% for ${market}`, fix: expected, autoFix: true }];
+  const pct = parseTaxPercent(raw);
+  if (Math.abs(pct - expected) < 1e-6) return [];
+  // keep the sheet's own format (5 / 5% / 0.05)
+  const n = Number(raw.replace("%", ""));
+  const fix = raw.includes("%") ? `${expected}%` : (n > 0 && n < 1) ? expected / 100 : expected;
+  return [{ field:"tax", type:"tax",
+    message:`Tax must be ${expected}% for ${market} (found ${raw})`, fix, autoFix: true }];
+}
+
+/* ---------- Writing SOP extras ---------- */
+// Each returns at most one issue per field: `fix` is the fully corrected text and
+// `patches` the individual {from,to} edits, so cleanRow can layer them over other fixes.
+function patchIssue(field, type, text, patches, message) {
+  if (!patches.length) return [];
+  let fixed = text;
+  for (const p of patches) fixed = applyPatch(fixed, p);
+  return [{ field, type, message, fix: fixed, patches, autoFix: true }];
+}
+
+// Writing SOP 3.0: 250 grams → 250 g, 6 Pieces → 6 pcs, 330 ML → 330 mL, 1 litre → 1 L
+export function checkUnits(text, field = "item_description") {
+  if (!text) return [];
+  const patches = [];
+  const unclear = [];
+  for (const m of String(text).matchAll(/(\d+(?:[.,]\d+)?)(\s*)([A-Za-z]+)\b/g)) {
+    const [whole, num, space, unit] = m;
+    const canon = UNIT_CANON[unit.toLowerCase()];
+    if (!canon || unitOk(unit, canon)) continue;
+    if (UNCLEAR_UNITS.has(unit.toLowerCase())) unclear.push(whole);
+    else patches.push({ from: whole, to: `${num}${space}${canon}` });
   }
+  const issues = patchIssue(field, "units", text, patches,
+    `Use SOP unit abbreviations (g, kg, pcs, mL, L, kcal): ${patches.map(p=>`"${p.from}" → "${p.to}"`).join(", ")}`);
+  if (unclear.length) issues.push({
+    field, type:"units",
+    message:`Energy is written in kcal: check ${unclear.map(u=>`"${u}"`).join(", ")} is kilocalories before changing it`,
+    autoFix: false,
+  });
   return issues;
 }
 
-export function cleanRow(row) {
+// Writing SOP 2.0: no capital after a colon or a number (descriptions), unless proper noun
+export function checkCapsAfterColonOrNumber(desc) {
+  if (!desc) return [];
+  const patches = [];
+  for (const m of String(desc).matchAll(/(:\s*|\b\d+(?:[.,]\d+)?\s+)([A-Z][a-z]+)\b/g)) {
+    const [whole, lead, word] = m;
+    if (isProperNoun(word) || UNIT_CANON[word.toLowerCase()]) continue;
+    patches.push({ from: whole, to: lead + word.toLowerCase() });
+  }
+  return patchIssue("item_description", "casing_after_colon_number", desc, patches,
+    "Descriptions: no capital letter after a colon or a number");
+}
+
+// Writing SOP 5.0: customization titles are sentence style ("Choose size")
+export function fixSentenceCase(text) {
+  if (!text) return text;
+  return String(text).trim().split(/\s+/).map((w,i)=>{
+    if (ACRONYMS.has(w.toUpperCase())) return w.toUpperCase();
+    const lower = w.toLowerCase();
+    const cap = lower.charAt(0).toUpperCase()+lower.slice(1);
+    return (i===0 || isProperNoun(cap)) ? cap : lower;
+  }).join(" ");
+}
+export function checkCustomizationTitle(title) {
+  if (!title) return [];
+  const fixed = fixSentenceCase(title);
+  return (fixed===title) ? [] : [{
+    field:"option_group_name", type:"capitalization",
+    message:`Customization titles are sentence style → "${fixed}"`, fix: fixed, autoFix: true
+  }];
+}
+
+// Writing SOP 5.0: customization options are item style ("Extra Onion")
+export function checkCustomizationOption(option) {
+  if (!option) return [];
+  const fixed = fixItemNameCase(option);
+  return (fixed===option) ? [] : [{
+    field:"option_name", type:"capitalization",
+    message:`Customization options are item style → "${fixed}"`, fix: fixed, autoFix: true
+  }];
+}
+
+// Writing SOP 4.0: describing word first ("Danish Pastries", not "Pastries Danish")
+export function checkWordOrder(name) {
+  if (!name) return [];
+  const words = String(name).trim().split(/\s+/);
+  if (words.length < 2) return [];
+  const last = words[words.length-1];
+  const adj = NATIONALITIES.find(n => n.toLowerCase() === last.toLowerCase());
+  if (!adj) return [];
+  const fixed = [adj, ...words.slice(0,-1)].join(" ");
+  return [{
+    field:"item_name", type:"word_order",
+    message:`Describing word comes first → "${fixed}"`, fix: fixed, autoFix: false
+  }];
+}
+
+// item name EN vs AR against the glossary
+export function checkTranslation(name, arName, market, glossary) {
+  return glossaryExpect({ enText:name, arText:arName, market, glossary })
+    .map(x=>({ field:"translation", ...x }));
+}
+
+// issue field → CSV column its fix is written to (callers pass their own header mapping)
+const DEFAULT_COLUMNS = {
+  item_name: "item_name",
+  item_description: "item_description",
+  tax: "tax",
+  translation: "item_localized_name",
+  category: "category_localized_name",
+  sub_category: "sub_category_localized_name",
+  item_name_pair: "item_localized_name",
+  option_name: "option_name",
+  option_group_name: "option_group_name",
+};
+
+// Apply every autoFix issue to a copy of the row; returns the copy and a change log.
+// Without issues it falls back to the basic name/description clean-up.
+export function cleanRow(row, issues = null, columns = DEFAULT_COLUMNS) {
+  if (!issues) {
+    issues = [
+      ...checkItemName(row[columns.item_name]),
+      ...checkDescription(row[columns.item_description]),
+    ];
+  }
   const copy = { ...row };
-  if (row.item_name) copy.item_name = fixItemNameCase(row.item_name);
-  if (row.item_description) copy.item_description = cleanDescription(row.item_description);
-  return copy;
+  const changes = [];
+  // whole-value fixes first, then patches on top of them
+  const ordered = [...issues.filter(i => !i.patches), ...issues.filter(i => i.patches)];
+  for (const issue of ordered) {
+    const col = columns[issue.field];
+    if (!issue.autoFix || !col || !(col in copy)) continue;
+    const before = String(copy[col] ?? "");
+    const after = issue.patches
+      ? issue.patches.reduce(applyPatch, before)
+      : String(issue.fix ?? "");
+    if (after === before) continue;
+    copy[col] = after;
+    changes.push({ column: col, type: issue.type, from: before, to: after });
+  }
+  return { row: copy, changes };
 }
@@ -0,0 +1,66 @@
+// xlsxTools.js — read .xlsx workbooks sheet by sheet (menus, SOP glossary/tags) and write corrected copies in the same layout
+import ExcelJS from "exceljs";
+
+export const isXlsx = (name) => /\.xlsx$/i.test(String(name || ""));
+
+// what the cell shows, as text: formulas give their result, rich text its plain text
+function cellText(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value !== "object") return String(value);
+  if (value.richText) return value.richText.map((r) => r.text).join("");
+  if ("result" in value) return cellText(value.result);
+  if ("text" in value) return cellText(value.text);
+  if (value.error) return String(value.error);
+  return "";
+}
+
+// → { wb, sheets: [{ name, headers, rows, rowNumbers, colIndex }] }
+// First non-blank row is the header; rowNumbers are Excel's (1-based, header included) so issues
+// point at the row the merchant sees.
+export async function parseXlsxFile(filePath) {
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.readFile(filePath);
+  const sheets = wb.worksheets.map((ws) => {
+    const lines = [];
+    ws.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      const cells = [];
+      row.eachCell({ includeEmpty: false }, (cell, c) => { cells[c] = cellText(cell.value); });
+      if (cells.some((v) => v && v.trim())) lines.push({ cells, rowNumber });
+    });
+    if (!lines.length) return { name: ws.name, headers: [], rows: [], rowNumbers: [], colIndex: {} };
+    const colIndex = {};
+    lines[0].cells.forEach((h, c) => {
+      const header = String(h ?? "").trim();
+      if (header && !(header in colIndex)) colIndex[header] = c;
+    });
+    const headers = Object.keys(colIndex);
+    const body = lines.slice(1);
+    const rows = body.map(({ cells }) => Object.fromEntries(headers.map((h) => [h, cells[colIndex[h]] ?? ""])));
+    return { name: ws.name, headers, rows, rowNumbers: body.map((r) => r.rowNumber), colIndex };
+  });
+  return { wb, sheets };
+}
+
+// edits: [{ sheet, rowNumber, column (header), to }] applied to the original workbook in place;
+// numeric cells stay numeric. changes (optional) go to an extra "QC changes" sheet. → Promise<Buffer>
+export async function fixedWorkbook(wb, sheets, edits, changes = null) {
+  const byName = new Map(sheets.map((s) => [s.name, s]));
+  for (const { sheet, rowNumber, column, to } of edits) {
+    const ws = wb.getWorksheet(sheet);
+    const c = byName.get(sheet)?.colIndex[column];
+    if (!ws || c === undefined) continue;
+    const cell = ws.getRow(rowNumber).getCell(c);
+    const num = Number(to);
+    cell.value = typeof cell.value === "number" && String(to).trim() !== "" && !Number.isNaN(num) ? num : String(to);
+  }
+  if (changes) {
+    const name = "QC changes";
+    const old = wb.getWorksheet(name);
+    if (old) wb.removeWorksheet(old.id);
+    const log = wb.addWorksheet(name);
+    log.addRow(["sheet", "row", "column", "from", "to"]);
+    for (const ch of changes) log.addRow([ch.sheet, ch.row, ch.column, ch.from, ch.to]);
+  }
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}